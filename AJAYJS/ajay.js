@@ -1,6 +1,11 @@
-
 // IMPORT
 import { _Chart } from "./charts/charts.js";
+import { _Dashboard } from "./charts/dashboard.js";
+import { _defineChartElement } from "./charts/element.js";
+import { _ValidationError } from "./charts/validate.js";
 
 // CHARTS
-export const Chart = _Chart;
\ No newline at end of file
+export const Chart = _Chart;
+export const Dashboard = _Dashboard;
+export const defineChartElement = _defineChartElement;
+export const ValidationError = _ValidationError;
\ No newline at end of file
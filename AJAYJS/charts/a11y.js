@@ -0,0 +1,347 @@
+import { _tableRows } from './export.js';
+
+const VISUALLY_HIDDEN = {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    padding: '0',
+    margin: '-1px',
+    overflow: 'hidden',
+    clip: 'rect(0, 0, 0, 0)',
+    whiteSpace: 'nowrap',
+    border: '0'
+};
+
+const TYPE_NAMES = {
+    polararea: 'polar area',
+    ohlc: 'candlestick',
+    boxplot: 'box plot'
+};
+
+const SHARE_TYPES = ['pie', 'doughnut', 'polararea', 'funnel'];
+const TREND_TYPES = ['line', 'area'];
+const MAX_SERIES = 3;
+
+let _idCounter = 0;
+
+export function _nextId(prefix) {
+    _idCounter += 1;
+    return `${prefix}-${_idCounter}`;
+}
+
+export function _prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+        ? window.matchMedia('(prefers-reduced-motion: reduce)').matches
+        : false;
+}
+
+export function _setVisuallyHidden(element, hidden) {
+    Object.keys(VISUALLY_HIDDEN).forEach(prop => {
+        element.style[prop] = hidden ? VISUALLY_HIDDEN[prop] : '';
+    });
+}
+
+function _formatNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value)
+        ? value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+        : String(value);
+}
+
+function _numeric(point) {
+    if (typeof point === 'number') {
+        return point;
+    }
+    const value = point?.y ?? point?.v ?? point?.value;
+    return typeof value === 'number' ? value : Number.NaN;
+}
+
+function _isOrdered(labels) {
+    return labels.length > 1 && labels.every(label =>
+        label instanceof Date ||
+        typeof label === 'number' ||
+        (typeof label === 'string' && /^(\d{4}([-/]\d{1,2}){0,2}|Q[1-4]\s*\d{4}|\d{4}\s*Q[1-4])$/i.test(label.trim())));
+}
+
+function _extremes(values) {
+    let min = -1;
+    let max = -1;
+    values.forEach((value, i) => {
+        if (!Number.isFinite(value)) return;
+        if (min < 0 || value < values[min]) min = i;
+        if (max < 0 || value > values[max]) max = i;
+    });
+    return { min, max };
+}
+
+function _describeTrend(name, values, labels) {
+    const indices = values.map((value, i) => i).filter(i => Number.isFinite(values[i]));
+    if (indices.length < 2) {
+        return indices.length ? `${name} is ${_formatNumber(values[indices[0]])} in ${labels[indices[0]] ?? 'the only period'}.` : '';
+    }
+    const first = indices[0];
+    const last = indices[indices.length - 1];
+    const verb = values[last] > values[first] ? 'rose' : (values[last] < values[first] ? 'fell' : 'was unchanged');
+    let text = verb === 'was unchanged'
+        ? `${name} was ${_formatNumber(values[first])} in both ${labels[first]} and ${labels[last]}`
+        : `${name} ${verb} from ${_formatNumber(values[first])} in ${labels[first]} to ${_formatNumber(values[last])} in ${labels[last]}`;
+    const { min, max } = _extremes(values);
+    const notes = [];
+    if (max !== first && max !== last) notes.push(`peaking at ${_formatNumber(values[max])} in ${labels[max]}`);
+    if (min !== first && min !== last) notes.push(`with a low of ${_formatNumber(values[min])} in ${labels[min]}`);
+    if (notes.length) text += `, ${notes.join(' and ')}`;
+    return `${text}.`;
+}
+
+function _describeCategories(name, values, labels) {
+    const { min, max } = _extremes(values);
+    if (max < 0) {
+        return '';
+    }
+    if (min === max) {
+        return `${name} is ${_formatNumber(values[max])} for ${labels[max]}.`;
+    }
+    return `${name} is highest for ${labels[max]} (${_formatNumber(values[max])}) and lowest for ${labels[min]} (${_formatNumber(values[min])}).`;
+}
+
+function _describeShares(name, values, labels) {
+    const total = values.reduce((sum, value) => sum + (Number.isFinite(value) ? value : 0), 0);
+    if (!total) {
+        return '';
+    }
+    const ranked = values
+        .map((value, i) => ({ label: labels[i], value }))
+        .filter(item => Number.isFinite(item.value))
+        .sort((a, b) => b.value - a.value);
+    const share = item => `${_formatNumber((item.value / total) * 100)}%`;
+    const [top, ...rest] = ranked;
+    const others = rest.slice(0, 2).map(item => `${item.label} (${share(item)})`);
+    return `${name}: ${top.label} is the largest share at ${share(top)}${others.length ? `, followed by ${others.join(' and ')}` : ''}. The total is ${_formatNumber(total)}.`;
+}
+
+function _describePoints(name, data) {
+    const xs = data.map(point => point?.x).filter(Number.isFinite);
+    const ys = data.map(point => point?.y).filter(Number.isFinite);
+    const range = list => `${_formatNumber(Math.min(...list))} to ${_formatNumber(Math.max(...list))}`;
+    const parts = [`${name} has ${data.length} point${data.length === 1 ? '' : 's'}`];
+    if (xs.length && ys.length && xs.length < 100000) {
+        parts.push(`with x from ${range(xs)} and y from ${range(ys)}`);
+    }
+    return `${parts.join(' ')}.`;
+}
+
+function _describeCells(name, data) {
+    const values = data.map(_numeric);
+    const { min, max } = _extremes(values);
+    if (max < 0) {
+        return '';
+    }
+    const where = point => `${point.x}, ${point.y}`;
+    return `${name} ranges from ${_formatNumber(values[min])} at ${where(data[min])} to ${_formatNumber(values[max])} at ${where(data[max])}.`;
+}
+
+function _describeFlows(name, data) {
+    const links = data.filter(link => link && Number.isFinite(link.flow));
+    if (!links.length) {
+        return '';
+    }
+    const total = links.reduce((sum, link) => sum + link.flow, 0);
+    const largest = links.reduce((best, link) => (link.flow > best.flow ? link : best));
+    return `${name} has ${links.length} flows totalling ${_formatNumber(total)}. The largest is from ${largest.from} to ${largest.to} (${_formatNumber(largest.flow)}).`;
+}
+
+export function _summarize(table) {
+    const type = String(table.type ?? '').toLowerCase();
+    const labels = table.labels.map(label => (label instanceof Date ? label.toLocaleDateString() : String(label)));
+    const datasets = table.datasets.filter(ds => ds.data.length);
+    const sentences = [];
+
+    if (table.title) {
+        sentences.push(`${table.title}.`);
+    }
+    const typeName = TYPE_NAMES[type] ?? type;
+    const article = /^[aeiou]/.test(typeName) ? 'An' : 'A';
+    sentences.push(datasets.length > 1
+        ? `${article} ${typeName} chart with ${datasets.length} series.`
+        : `${article} ${typeName} chart.`);
+
+    if (type === 'gauge' && datasets[0]) {
+        const [value, max] = datasets[0].data;
+        sentences.push(`${datasets[0].label || 'The value'} is ${_formatNumber(value)} out of ${_formatNumber(max)}.`);
+        return sentences.join(' ');
+    }
+
+    datasets.slice(0, MAX_SERIES).forEach((ds, i) => {
+        const name = ds.label || (datasets.length > 1 ? `Series ${i + 1}` : 'The data');
+        let sentence = '';
+        if (type === 'sankey') {
+            sentence = _describeFlows(name, ds.data);
+        } else if (type === 'heatmap') {
+            sentence = _describeCells(name, ds.data);
+        } else if (!labels.length || type === 'scatter' || type === 'bubble') {
+            sentence = _describePoints(name, ds.data);
+        } else {
+            const values = ds.data.map(_numeric);
+            if (SHARE_TYPES.includes(type)) {
+                sentence = _describeShares(name, values, labels);
+            } else if (TREND_TYPES.includes(type) || _isOrdered(labels)) {
+                sentence = _describeTrend(name, values, labels);
+            } else {
+                sentence = _describeCategories(name, values, labels);
+            }
+        }
+        if (sentence) {
+            sentences.push(sentence);
+        }
+    });
+    if (datasets.length > MAX_SERIES) {
+        sentences.push(`${datasets.length - MAX_SERIES} more series are listed in the data table.`);
+    }
+    return sentences.join(' ');
+}
+
+export function _buildDataTable(table, options = {}) {
+    const rows = _tableRows(table);
+    const maxRows = typeof options.maxRows === 'number' ? options.maxRows : 500;
+    const element = document.createElement('table');
+    element.className = 'ajay-data-table';
+
+    const caption = document.createElement('caption');
+    const omitted = Math.max(0, rows.length - 1 - maxRows);
+    caption.textContent = [table.title || 'Chart data', omitted ? `(first ${maxRows} of ${rows.length - 1} rows)` : '']
+        .filter(Boolean)
+        .join(' ');
+    element.appendChild(caption);
+
+    const [header, ...body] = rows;
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    header.forEach(text => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = String(text);
+        headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    element.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    body.slice(0, maxRows).forEach(row => {
+        const tr = document.createElement('tr');
+        row.forEach((value, i) => {
+            const cell = document.createElement(i === 0 ? 'th' : 'td');
+            if (i === 0) {
+                cell.scope = 'row';
+            }
+            if (value === null || value === undefined) {
+                cell.textContent = '';
+            } else if (typeof value === 'object') {
+                cell.textContent = value instanceof Date ? value.toLocaleString() : JSON.stringify(value);
+            } else {
+                cell.textContent = typeof value === 'number' ? _formatNumber(value) : String(value);
+            }
+            tr.appendChild(cell);
+        });
+        tbody.appendChild(tr);
+    });
+    element.appendChild(tbody);
+    return element;
+}
+
+export class _KeyboardNavigator {
+    constructor(canvas, getInstance, announce, activate) {
+        this._canvas = canvas;
+        this._getInstance = getInstance;
+        this._announce = announce;
+        this._activate = activate;
+        this._position = null;
+        this._onKeyDown = event => this._handleKey(event);
+        this._onBlur = () => this.clear();
+        canvas.addEventListener('keydown', this._onKeyDown);
+        canvas.addEventListener('blur', this._onBlur);
+    }
+
+    clear() {
+        const instance = this._getInstance();
+        this._position = null;
+        if (instance && instance.getActiveElements().length) {
+            instance.setActiveElements([]);
+            instance.tooltip?.setActiveElements([], { x: 0, y: 0 });
+            instance.update();
+        }
+    }
+
+    destroy() {
+        this._canvas.removeEventListener('keydown', this._onKeyDown);
+        this._canvas.removeEventListener('blur', this._onBlur);
+    }
+
+    _handleKey(event) {
+        const instance = this._getInstance();
+        if (!instance) {
+            return;
+        }
+        const visible = instance.data.datasets
+            .map((ds, i) => i)
+            .filter(i => instance.isDatasetVisible(i) && instance.getDatasetMeta(i).data.length);
+        if (!visible.length) {
+            return;
+        }
+
+        const current = this._position && visible.includes(this._position.datasetIndex)
+            ? this._position
+            : { datasetIndex: visible[0], index: -1 };
+        let slot = visible.indexOf(current.datasetIndex);
+        let index = current.index;
+
+        switch (event.key) {
+            case 'ArrowRight':
+                index += 1;
+                break;
+            case 'ArrowLeft':
+                index = index < 0 ? 0 : index - 1;
+                break;
+            case 'ArrowDown':
+                slot = Math.min(visible.length - 1, slot + 1);
+                index = Math.max(0, index);
+                break;
+            case 'ArrowUp':
+                slot = Math.max(0, slot - 1);
+                index = Math.max(0, index);
+                break;
+            case 'Home':
+                index = 0;
+                break;
+            case 'End':
+                index = Number.MAX_SAFE_INTEGER;
+                break;
+            case 'Escape':
+                this.clear();
+                return;
+            case 'Enter':
+            case ' ':
+                if (this._position && this._activate) {
+                    event.preventDefault();
+                    this._activate({ ...this._position }, event);
+                }
+                return;
+            default:
+                return;
+        }
+        event.preventDefault();
+
+        const datasetIndex = visible[slot];
+        const meta = instance.getDatasetMeta(datasetIndex);
+        index = Math.max(0, Math.min(meta.data.length - 1, index));
+        this._position = { datasetIndex, index };
+
+        const element = meta.data[index];
+        const active = [{ datasetIndex, index }];
+        instance.setActiveElements(active);
+        instance.tooltip?.setActiveElements(active, element.tooltipPosition(true));
+        instance.update();
+
+        const { label, value } = meta.controller.getLabelAndValue(index);
+        const datasetLabel = instance.data.datasets[datasetIndex].label;
+        this._announce(`${datasetLabel ? `${datasetLabel}, ` : ''}${label ? `${label}: ` : ''}${value}. Point ${index + 1} of ${meta.data.length}.`);
+    }
+}
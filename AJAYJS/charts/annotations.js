@@ -0,0 +1,257 @@
+const HIT_MARGIN = 4;
+const LABEL_PADDING = 4;
+
+export const ANNOTATION_TYPES = ['line', 'band'];
+
+function _settings(chart) {
+    return chart.config.options?.plugins?.ajayAnnotations ?? {};
+}
+
+function _pixel(scale, value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (scale.type === 'category') {
+        const labels = scale.getLabels();
+        const index = typeof value === 'number' ? value : labels.indexOf(value);
+        return index >= 0 ? scale.getPixelForValue(index) : null;
+    }
+    const parsed = scale.parse(value instanceof Date ? value.getTime() : value);
+    return parsed === null || Number.isNaN(parsed) ? null : scale.getPixelForValue(parsed);
+}
+
+function _halfCategory(scale) {
+    if (scale.type !== 'category' || !scale.options.offset || scale.getLabels().length < 2) {
+        return 0;
+    }
+    return Math.abs(scale.getPixelForValue(1) - scale.getPixelForValue(0)) / 2;
+}
+
+function _geometry(chart, item) {
+    const area = chart.chartArea;
+    const xScale = chart.scales[item.xScaleID ?? 'x'];
+    const yScale = chart.scales[item.yScaleID ?? 'y'];
+    if (!area || !xScale || !yScale) {
+        return null;
+    }
+    if (item.type === 'line') {
+        if (item.y !== undefined) {
+            const y = _pixel(yScale, item.y);
+            return y === null || y < area.top || y > area.bottom
+                ? null
+                : { left: area.left, right: area.right, top: y, bottom: y, horizontal: true };
+        }
+        const x = _pixel(xScale, item.x);
+        return x === null || x < area.left || x > area.right
+            ? null
+            : { left: x, right: x, top: area.top, bottom: area.bottom, horizontal: false };
+    }
+    if (item.type === 'band') {
+        const vertical = item.xMin !== undefined || item.xMax !== undefined;
+        const scale = vertical ? xScale : yScale;
+        const half = _halfCategory(scale);
+        const start = vertical ? area.left : area.bottom;
+        const end = vertical ? area.right : area.top;
+        const from = item[vertical ? 'xMin' : 'yMin'] === undefined ? start : _pixel(scale, item[vertical ? 'xMin' : 'yMin']);
+        const to = item[vertical ? 'xMax' : 'yMax'] === undefined ? end : _pixel(scale, item[vertical ? 'xMax' : 'yMax']);
+        if (from === null || to === null) {
+            return null;
+        }
+        const low = Math.max(Math.min(from, to) - half, Math.min(start, end));
+        const high = Math.min(Math.max(from, to) + half, Math.max(start, end));
+        if (high <= low) {
+            return null;
+        }
+        return vertical
+            ? { left: low, right: high, top: area.top, bottom: area.bottom, horizontal: false }
+            : { left: area.left, right: area.right, top: low, bottom: high, horizontal: true };
+    }
+    return null;
+}
+
+function _font(settings) {
+    const font = settings.font ?? {};
+    return `${font.weight ?? 'normal'} ${font.size ?? 12}px ${font.family ?? 'sans-serif'}`;
+}
+
+function _drawLabel(ctx, text, x, y, align, settings, color) {
+    const lines = Array.isArray(text) ? text : [String(text)];
+    const size = settings.font?.size ?? 12;
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + LABEL_PADDING * 2;
+    const height = lines.length * (size + 2) + LABEL_PADDING * 2;
+    const left = align === 'right' ? x - width : (align === 'center' ? x - width / 2 : x);
+    ctx.fillStyle = settings.labelBackground ?? 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(left, y, width, height);
+    ctx.fillStyle = color;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, i) => ctx.fillText(line, left + LABEL_PADDING, y + LABEL_PADDING + i * (size + 2)));
+}
+
+function _labelPosition(item, box, chart) {
+    const position = item.labelPosition ?? 'end';
+    const area = chart.chartArea;
+    const size = _settings(chart).font?.size ?? 12;
+    const height = (Array.isArray(item.label) ? item.label.length : 1) * (size + 2) + LABEL_PADDING * 2;
+    if (item.type === 'line' && box.horizontal) {
+        const x = position === 'start' ? area.left + 4 : (position === 'center' ? (area.left + area.right) / 2 : area.right - 4);
+        const align = position === 'start' ? 'left' : (position === 'center' ? 'center' : 'right');
+        const above = box.top - height - 2;
+        return { x, y: above < area.top ? box.top + 2 : above, align };
+    }
+    if (item.type === 'line') {
+        const y = position === 'start' ? area.bottom - height - 4 : (position === 'center' ? (area.top + area.bottom) / 2 : area.top + 4);
+        const flip = box.left > area.right - 80;
+        return { x: flip ? box.left - 4 : box.left + 4, y, align: flip ? 'right' : 'left' };
+    }
+    return { x: box.left + 4, y: box.top + 4, align: 'left' };
+}
+
+function _drawShape(ctx, item, box, color, settings) {
+    ctx.save();
+    if (item.type === 'band') {
+        if (item.backgroundColor) {
+            ctx.fillStyle = item.backgroundColor;
+        } else {
+            ctx.fillStyle = color;
+            ctx.globalAlpha = settings.bandOpacity ?? 0.15;
+        }
+        ctx.fillRect(box.left, box.top, box.right - box.left, box.bottom - box.top);
+    } else {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = item.borderWidth ?? 2;
+        ctx.setLineDash(item.borderDash ?? (box.horizontal ? [6, 4] : []));
+        ctx.beginPath();
+        ctx.moveTo(box.left, box.top);
+        ctx.lineTo(box.right, box.bottom);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+function _draw(chart, shapes, labels) {
+    const settings = _settings(chart);
+    const items = settings.items ?? [];
+    if (!items.length) {
+        return;
+    }
+    const ctx = chart.ctx;
+    const area = chart.chartArea;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+    ctx.clip();
+    ctx.font = _font(settings);
+    items.forEach(item => {
+        if (item.display === false) {
+            return;
+        }
+        const box = _geometry(chart, item);
+        if (!box) {
+            return;
+        }
+        const color = item.color ?? (item.type === 'band' ? settings.bandColor : settings.lineColor) ?? '#888888';
+        if (shapes.includes(item.type)) {
+            _drawShape(ctx, item, box, color, settings);
+        }
+        if (labels && item.label) {
+            const { x, y, align } = _labelPosition(item, box, chart);
+            _drawLabel(ctx, item.label, x, y, align, settings, item.labelColor ?? settings.labelColor ?? color);
+        }
+    });
+    ctx.restore();
+}
+
+function _tooltipText(item) {
+    if (item.tooltip === false) {
+        return null;
+    }
+    if (item.tooltip !== undefined) {
+        return item.tooltip;
+    }
+    const name = Array.isArray(item.label) ? item.label.join(' ') : item.label;
+    let value;
+    if (item.type === 'line') {
+        value = String(item.y ?? item.x);
+    } else {
+        const from = item.xMin ?? item.yMin;
+        const to = item.xMax ?? item.yMax;
+        value = `${from ?? '…'} – ${to ?? '…'}`;
+    }
+    if (!name) {
+        return value;
+    }
+    return name.includes(value) ? name : `${name} (${value})`;
+}
+
+function _hitTest(chart, x, y) {
+    const items = _settings(chart).items ?? [];
+    let hit = null;
+    ['band', 'line'].forEach(type => {
+        items.forEach(item => {
+            if (item.type !== type || item.display === false) {
+                return;
+            }
+            const box = _geometry(chart, item);
+            if (!box) {
+                return;
+            }
+            const margin = item.type === 'line' ? (item.borderWidth ?? 2) / 2 + HIT_MARGIN : 0;
+            if (x >= box.left - margin && x <= box.right + margin && y >= box.top - margin && y <= box.bottom + margin) {
+                hit = item;
+            }
+        });
+    });
+    return hit;
+}
+
+export const _annotationPlugin = {
+    id: 'ajayAnnotations',
+    beforeDatasetsDraw(chart) {
+        _draw(chart, ['band'], false);
+    },
+    afterDatasetsDraw(chart) {
+        _draw(chart, ['line'], true);
+    },
+    afterEvent(chart, args) {
+        const event = args.event;
+        const previous = chart.$ajayAnnotationHover ?? null;
+        let next = null;
+        if (event.type !== 'mouseout' && args.inChartArea) {
+            const item = _hitTest(chart, event.x, event.y);
+            const text = item ? _tooltipText(item) : null;
+            next = text ? { item, text, x: event.x, y: event.y } : null;
+        }
+        if (previous?.item !== next?.item || (next && (previous.x !== next.x || previous.y !== next.y))) {
+            chart.$ajayAnnotationHover = next;
+            args.changed = true;
+        }
+    },
+    afterDraw(chart) {
+        const hover = chart.$ajayAnnotationHover;
+        if (!hover) {
+            return;
+        }
+        const settings = _settings(chart);
+        const tooltip = settings.tooltip ?? {};
+        const ctx = chart.ctx;
+        const lines = Array.isArray(hover.text) ? hover.text : [String(hover.text)];
+        const size = settings.font?.size ?? 12;
+        ctx.save();
+        ctx.font = _font(settings);
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const height = lines.length * (size + 4) + 8;
+        const left = Math.min(hover.x + 12, chart.width - width - 2);
+        const top = Math.max(2, hover.y - height - 8);
+        ctx.fillStyle = tooltip.background ?? 'rgba(0, 0, 0, 0.8)';
+        ctx.strokeStyle = tooltip.border ?? 'transparent';
+        ctx.lineWidth = 1;
+        ctx.fillRect(left, top, width, height);
+        ctx.strokeRect(left, top, width, height);
+        ctx.fillStyle = tooltip.text ?? '#ffffff';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, left + 6, top + 4 + i * (size + 4)));
+        ctx.restore();
+    }
+};
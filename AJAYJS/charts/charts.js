@@ -1,275 +1,1803 @@
-let _chartCoreInitiated = false;
-const _loadedScripts = new Set();
-const _registeredPlugins = new Map();
+import { _loader } from './loader.js';
+import { _Emitter } from './emitter.js';
+import {
+    _hasTheme,
+    _registerTheme,
+    _resolveTheme,
+    _themeMode,
+    _themeNames,
+    _unregisterTheme,
+    _watchColorScheme
+} from './themes.js';
+import { _aggregateRecords, _parseRecords } from './records.js';
+import { _categoricalColors, _colorScale, _getPalette, _paletteNames, _registerPalette, _valueDomain, _warnUnknownPalette, _withAlpha } from './palettes.js';
+import { _controllerFor, _gaugePlugin, _hasController, _registerBuiltInControllers } from './controllers.js';
+import { _boxplotStats, _histogram } from './stats.js';
+import { DECIMATION_DEFAULTS, _decimate } from './decimate.js';
+import { _TASKS, _offload, _restoreGroups } from './offload.js';
+import { _annotationPlugin } from './annotations.js';
+import { _DrillBreadcrumb, _drillLevels, _drillPredicate } from './drilldown.js';
+import { _formatter, _isPercent, _isRtlLocale, _isShareType } from './format.js';
+import { _autoUnit, _exportFormat, _formatTime, _parseTime, _registerDateAdapter, _resample, _tooltipFormat } from './time.js';
+import { _KeyboardNavigator, _buildDataTable, _nextId, _prefersReducedMotion, _setVisuallyHidden, _summarize } from './a11y.js';
+import { _SvgContext, _backgroundPlugin, _canvasToBytes, _dataURLToBlob, _downloadBlob, _mimeType, _tableToCSV } from './export.js';
+import { _configureEnvironment, _createCanvas, _isCanvas, _isElement } from './env.js';
+import { LAZY_DEFAULTS, _removalWatcher, _resizeScheduler, _visibilityWatcher } from './lifecycle.js';
+import { _checkPlugin, _pluginId, _plugins, _preparePlugin, _releasePlugin, _retainPlugin } from './plugins.js';
+import {
+    _ValidationError,
+    _describe,
+    _usesTimeAxis,
+    _validateAnnotation,
+    _validateConfig,
+    _validateData,
+    _validateDataset,
+    _validateFormat,
+    _validateLocale,
+    _validateType
+} from './validate.js';
+import { SCHEMA_VERSION, _compact, _decodeState, _encodeState, _parseState, _readHashParam, _toPlain } from './state.js';
 
-export class _Chart {
+const TIME_AXIS_TYPES = ['line', 'area', 'bar', 'scatter', 'bubble'];
+const MIXED_TYPES = ['line', 'area', 'bar', 'scatter', 'bubble'];
+const A11Y_REFRESH_DELAY = 500;
+const HASH_DEFAULTS = { type: 'line', theme: 'dark' };
+
+export class _Chart extends _Emitter {
     static registerPlugin(plugin) {
-        if (!_registeredPlugins.has(plugin.name)) {
-            _registeredPlugins.set(plugin.name, { globalRegister: true, ...plugin });
+        _plugins.register(plugin);
+    }
+
+    static unregisterPlugin(plugin) {
+        return _plugins.unregister(plugin);
+    }
+
+    static getPlugins() {
+        return _plugins.list().map(_pluginId);
+    }
+
+    static configureLoader(options = {}) {
+        _loader.configure(options);
+    }
+
+    static configureEnvironment(options = {}) {
+        _configureEnvironment(options);
+    }
+
+    static configureWorker(options = {}) {
+        _offload.configure(options);
+    }
+
+    static ready() {
+        return _loader.ready();
+    }
+
+    static on(event, handler) {
+        _loader.on(event, handler);
+    }
+
+    static off(event, handler) {
+        _loader.off(event, handler);
+    }
+
+    static registerTheme(name, tokens) {
+        _registerTheme(name, tokens);
+    }
+
+    static unregisterTheme(name) {
+        return _unregisterTheme(name);
+    }
+
+    static getThemes() {
+        return _themeNames();
+    }
+
+    static registerPalette(name, colors, options) {
+        _registerPalette(name, colors, options);
+    }
+
+    static getPalettes(filter) {
+        return _paletteNames(filter);
+    }
+
+    static getPaletteColors(name, n) {
+        const palette = _getPalette(name);
+        return palette ? _categoricalColors(n ?? palette.colors.length, name) : [];
+    }
+
+    static colorScale(spec) {
+        return _colorScale(spec);
+    }
+
+    static histogram(values, options) {
+        return _histogram(values, options);
+    }
+
+    static boxplotStats(values, options) {
+        return _boxplotStats(values, options);
+    }
+
+    static resample(points, spec) {
+        return _resample(points, spec);
+    }
+
+    static parseRecords(input, format) {
+        return _parseRecords(input, format);
+    }
+
+    static aggregateRecords(records, spec) {
+        return _aggregateRecords(records, spec);
+    }
+
+    static fromJSON(canvasElement, json, overrides = {}) {
+        const { version, ...config } = _parseState(json);
+        return new _Chart(canvasElement, { ...config, ...overrides });
+    }
+
+    static readURLHash(hash, key = 'chart') {
+        const source = hash ?? (typeof location !== 'undefined' ? location.hash : '');
+        const encoded = _readHashParam(source, key);
+        return encoded ? _decodeState(encoded) : null;
+    }
+
+    static fromURLHash(canvasElement, hash, key = 'chart', overrides = {}) {
+        const state = _Chart.readURLHash(hash, key);
+        return state ? _Chart.fromJSON(canvasElement, state, overrides) : null;
+    }
+
+    constructor(canvasElement, initialConfig = {}) {
+        super();
+        if (!_isCanvas(canvasElement)) {
+            throw new Error("`Chart` requires a <canvas> element or a canvas object with getContext().");
+        }
+        this._canvas = canvasElement;
+        this._ctx = this._canvas.getContext('2d');
+        this._chartInstance = null;
+        this._headless = !_isElement(this._canvas);
+
+        if (!this._headless) {
+            this._canvas.setAttribute('role', 'img');
+            if (initialConfig.ariaLabel) {
+                this._canvas.setAttribute('aria-label', initialConfig.ariaLabel);
+            }
+        }
+
+        this._config = {
+            type: initialConfig.type ?? 'line',
+            labels: Array.isArray(initialConfig.labels) ? initialConfig.labels : [],
+            datasets: Array.isArray(initialConfig.datasets) ? initialConfig.datasets : [],
+            titleText: typeof initialConfig.titleText === 'string' ? initialConfig.titleText : '',
+            theme: typeof initialConfig.theme === 'string' ? initialConfig.theme : 'dark',
+            autoTheme: typeof initialConfig.autoTheme === 'object' && initialConfig.autoTheme ? initialConfig.autoTheme : {},
+            palette: Array.isArray(initialConfig.palette) || typeof initialConfig.palette === 'string' ? initialConfig.palette : [],
+            options: typeof initialConfig.options === 'object' ? initialConfig.options : {},
+            onClick: typeof initialConfig.onClick === 'function' ? initialConfig.onClick : null,
+            onHover: typeof initialConfig.onHover === 'function' ? initialConfig.onHover : null,
+            enableDataLabels: typeof initialConfig.enableDataLabels === 'boolean' ? initialConfig.enableDataLabels : false,
+            tooltipCallbacks: typeof initialConfig.tooltipCallbacks === 'object' ? initialConfig.tooltipCallbacks : {},
+            legendCallbacks: typeof initialConfig.legendCallbacks === 'object' ? initialConfig.legendCallbacks : {},
+            ariaLabel: typeof initialConfig.ariaLabel === 'string' ? initialConfig.ariaLabel : '',
+            maxPoints: typeof initialConfig.maxPoints === 'number' && initialConfig.maxPoints > 0 ? initialConfig.maxPoints : null,
+            locale: typeof initialConfig.locale === 'string' && !_validateLocale(initialConfig.locale, 'locale').length ? initialConfig.locale : null,
+            format: ['string', 'object', 'function'].includes(typeof initialConfig.format) ? initialConfig.format : null,
+            rtl: typeof initialConfig.rtl === 'boolean' ? initialConfig.rtl : null,
+            accessibility: initialConfig.accessibility === false
+                ? { summary: false, table: false, keyboard: false }
+                : { summary: true, table: 'hidden', keyboard: true, maxRows: 500, ...(typeof initialConfig.accessibility === 'object' ? initialConfig.accessibility : {}) },
+            timeAxis: initialConfig.timeAxis === true || initialConfig.timeAxis === false || (typeof initialConfig.timeAxis === 'object' && initialConfig.timeAxis) ? initialConfig.timeAxis : null,
+            resample: typeof initialConfig.resample === 'object' && initialConfig.resample ? initialConfig.resample : null,
+            drilldown: typeof initialConfig.drilldown === 'object' && initialConfig.drilldown ? initialConfig.drilldown : null,
+            decimation: initialConfig.decimation === false || (typeof initialConfig.decimation === 'object' && initialConfig.decimation) ? initialConfig.decimation : null,
+            annotations: Array.isArray(initialConfig.annotations) ? initialConfig.annotations.map(item => this._withAnnotationId(item)) : [],
+            historyLimit: typeof initialConfig.historyLimit === 'number' && initialConfig.historyLimit >= 0 ? initialConfig.historyLimit : 50,
+            pluginOptions: typeof initialConfig.pluginOptions === 'object' && initialConfig.pluginOptions ? initialConfig.pluginOptions : {},
+            lazy: initialConfig.lazy === true || (typeof initialConfig.lazy === 'object' && initialConfig.lazy) ? initialConfig.lazy : false,
+            autoDestroy: initialConfig.autoDestroy !== false,
+            strict: initialConfig.strict === true,
+        };
+        this._destroyed = false;
+        this._localPlugins = new Map((Array.isArray(initialConfig.plugins) ? initialConfig.plugins : [])
+            .filter(plugin => !_checkPlugin(plugin))
+            .map(plugin => [_pluginId(plugin), plugin]));
+        this._localPlugins.forEach(plugin => _retainPlugin(plugin, this));
+        this._installedPlugins = new Set();
+        const invalid = this._reportIssues(_validateConfig(initialConfig, { hasController: type => this._isRegisteredType(type) }));
+        if (invalid) {
+            this._localPlugins.forEach(plugin => _releasePlugin(plugin, this));
+            throw invalid;
+        }
+        this._batchDepth = 0;
+        this._batchErrors = [];
+        this._pendingUpdate = false;
+        this._undoStack = [];
+        this._redoStack = [];
+        this._historyBatch = null;
+        this._records = null;
+        this._recordSpec = null;
+        this._recordGroups = [];
+        this._recordsToken = 0;
+        this._recordsPending = null;
+        this._histograms = new WeakMap();
+        this._dataVersion = 0;
+        this._pointIndex = null;
+        this._drillPath = (Array.isArray(this._config.drilldown?.path) ? this._config.drilldown.path : [])
+            .slice(0, Math.max(0, _drillLevels(this._config.drilldown).length - 1))
+            .map(value => ({ value, members: [value], display: String(value) }));
+        this._drillBreadcrumb = null;
+        this._crossFilter = null;
+        this._unwatchColorScheme = null;
+
+        if (!_hasTheme(this._config.theme)) {
+            console.warn(`Unknown theme '${this._config.theme}'; falling back to 'dark'. Register it with Chart.registerTheme().`);
+        }
+        this._syncColorSchemeWatcher();
+        _warnUnknownPalette(this._config.palette);
+
+        if (initialConfig.records !== undefined) {
+            this._recordSpec = typeof initialConfig.aggregate === 'object' ? initialConfig.aggregate : {};
+            this._records = _parseRecords(initialConfig.records, this._recordSpec.format);
+            this._applyRecords();
+        }
+
+        this._visible = true;
+        this._deferredRender = false;
+        this._deferredUpdate = false;
+        this._resizeTarget = null;
+        this._onResize = () => this._resize();
+        this._onVisibility = visible => this._setVisible(visible);
+
+        this._a11y = null;
+        this._setupAccessibility();
+        this._setupDrilldown();
+        this._watchLifecycle();
+
+        this._onPluginsChange = () => {
+            this._syncPlugins();
+            if (this._chartInstance) {
+                this._update().catch(error => console.error(error));
+            }
+        };
+        _plugins.on('change', this._onPluginsChange);
+        this._syncPlugins();
+    }
+
+    isVisible() {
+        return this._visible === true;
+    }
+
+    isDestroyed() {
+        return this._destroyed;
+    }
+
+    Render() {
+        return _loader.ready()
+            .then(ChartJS => _loader.pluginsReady().then(() => ChartJS))
+            .then(ChartJS => {
+                if (this._destroyed) {
+                    return this;
+                }
+                if (this._isSuspended()) {
+                    this._deferredRender = true;
+                    return this;
+                }
+                return Promise.resolve(this._precompute()).then(() => {
+                    if (!this._destroyed) {
+                        this._buildAndRender(ChartJS);
+                    }
+                    return this;
+                });
+            });
+    }
+
+    _buildAndRender(ChartJS) {
+        const chartConfig = this._buildChartConfig(ChartJS);
+
+        if (this._chartInstance) {
+            this._chartInstance.destroy();
+        }
+
+        this._deferredRender = false;
+        this._deferredUpdate = false;
+        this._chartInstance = new ChartJS(this._ctx, chartConfig);
+        this._resize();
+
+        if (this._config.ariaLabel && !this._headless) {
+            this._canvas.setAttribute('aria-label', this._config.ariaLabel);
+        }
+        this._refreshAccessibility(true);
+        this._renderDrillBreadcrumb();
+        this._notifyPlugins('afterRender', { update: false });
+        this.emit('render', { chart: this, update: false });
+    }
+
+    _buildChartConfig(ChartJS) {
+        const cfg = this._config;
+        const lowerType = cfg.type.toLowerCase();
+
+        _registerBuiltInControllers(ChartJS);
+        _registerDateAdapter(_loader.getExport('_adapters'));
+        this._activePlugins().forEach(_preparePlugin);
+
+        let effectiveType = cfg.type;
+        switch (lowerType) {
+            case 'area':
+                effectiveType = 'line';
+                break;
+            case 'heatmap':
+            case 'funnel':
+            case 'sankey':
+                effectiveType = _controllerFor(ChartJS, lowerType);
+                break;
+            case 'candlestick':
+            case 'ohlc':
+                effectiveType = 'candlestick';
+                break;
+            case 'gauge':
+                effectiveType = 'doughnut';
+                break;
+            case 'histogram':
+                effectiveType = 'bar';
+                break;
+        }
+
+        if (!_hasController(ChartJS, effectiveType)) {
+            throw new Error(`Chart type '${cfg.type}' needs the '${effectiveType}' Chart.js controller, which is not registered. Load its plugin with Chart.registerPlugin() before rendering.`);
+        }
+
+        const palette = this._generatePalette(cfg.datasets.length, cfg.theme);
+        const time = this._resolveTimeData(lowerType);
+        const sourceLabels = time ? time.labels : cfg.labels;
+        const sourceDatasets = time ? time.datasets : cfg.datasets;
+
+        const mergedOptions = this._mergeThemeOptions(cfg.theme, cfg.titleText, cfg.options, lowerType);
+        if (time) {
+            this._applyTimeScale(mergedOptions, time);
+        }
+
+        const userOnClick = cfg.onClick ?? mergedOptions.onClick;
+        mergedOptions.onClick = (evt, elements, chart) => {
+            this._handleClick(evt, elements);
+            if (typeof userOnClick === 'function') userOnClick(evt, elements, chart);
+        };
+        if (cfg.onHover) mergedOptions.onHover = cfg.onHover;
+
+        const userLegendClick = mergedOptions.plugins.legend.onClick;
+        mergedOptions.plugins.legend.onClick = (evt, item, legend) => {
+            const toggle = userLegendClick
+                ?? ChartJS.overrides?.[effectiveType]?.plugins?.legend?.onClick
+                ?? ChartJS.defaults.plugins.legend.onClick;
+            toggle.call(legend, evt, item, legend);
+            this._emitLegendToggle(item, legend.chart);
+        };
+
+        let normalizedDatasets = sourceDatasets.map((ds, i) => {
+            return this._normalizeDataset(ds, palette[i], lowerType, i);
+        });
+        if (lowerType === 'histogram') {
+            cfg.datasets.forEach((ds, i) => {
+                if (ds.kde && !ds.cumulative) {
+                    normalizedDatasets.push(this._buildKdeDataset(ds, normalizedDatasets[i]));
+                }
+            });
+        }
+
+        let chartLabels = sourceLabels;
+        this._pointIndex = null;
+        const decimation = this._decimationOptions();
+        const reduced = decimation ? _decimate(sourceLabels, normalizedDatasets, lowerType, decimation) : null;
+        if (reduced) {
+            chartLabels = reduced.labels;
+            normalizedDatasets = reduced.datasets;
+            this._pointIndex = reduced.indices;
+        }
+
+        const finalLabels = this._prepareLabels(chartLabels, lowerType, normalizedDatasets);
+        if (lowerType === 'heatmap') {
+            this._applyCategoryLabels(mergedOptions, normalizedDatasets);
+        }
+        mergedOptions.plugins.ajayAnnotations.items = cfg.annotations;
+
+        const chartConfig = {
+            type: effectiveType,
+            data: {
+                labels: finalLabels,
+                datasets: normalizedDatasets
+            },
+            options: mergedOptions,
+            plugins: lowerType === 'gauge' ? [_annotationPlugin, _gaugePlugin] : [_annotationPlugin]
+        };
+        return this._notifyPlugins('afterBuild', { config: chartConfig, type: lowerType }, 'config');
+    }
+
+    _applyCategoryLabels(options, datasets) {
+        ['x', 'y'].forEach(axis => {
+            if (options.scales?.[axis]?.labels) {
+                return;
+            }
+            const labels = [];
+            datasets.forEach(ds => {
+                ds.data.forEach(point => {
+                    const value = point?.[axis];
+                    if (typeof value === 'string' && !labels.includes(value)) {
+                        labels.push(value);
+                    }
+                });
+            });
+            if (labels.length) {
+                options.scales = { ...options.scales, [axis]: { ...options.scales?.[axis], labels } };
+            }
+        });
+    }
+
+    addDataset(newDs) {
+        const invalid = this._reportIssues(_validateDataset(newDs, `datasets[${this._config.datasets.length}]`, this._config.type, this._config.labels, [], this._validationContext()));
+        if (invalid) {
+            return this._reject(invalid);
+        }
+        this._recordHistory(['datasets']);
+        this._config.datasets.push(newDs);
+        return this._update();
+    }
+
+    removeDataset(index) {
+        if (index >= 0 && index < this._config.datasets.length) {
+            this._recordHistory(['datasets']);
+            this._config.datasets.splice(index, 1);
+            return this._update();
+        }
+        return this._rejectMissingDataset(index);
+    }
+
+    updateData(dsIndex, newData) {
+        if (!this._config.datasets[dsIndex]) {
+            return this._rejectMissingDataset(dsIndex);
+        }
+        const context = { ...this._validationContext(), resampled: !!(this._config.datasets[dsIndex].resample ?? this._config.resample) };
+        const invalid = this._reportIssues(_validateData(newData, `datasets[${dsIndex}].data`, this._config.type, this._config.labels, [], context));
+        if (invalid) {
+            return this._reject(invalid);
+        }
+        this._recordHistory(['datasets']);
+        this._config.datasets[dsIndex].data = Array.isArray(newData) || ArrayBuffer.isView(newData) ? newData : [];
+        this._dataVersion += 1;
+        return this._update();
+    }
+
+    updateLabels(newLabels) {
+        if (Array.isArray(newLabels)) {
+            this._recordHistory(['labels']);
+            this._config.labels = newLabels;
+            return this._update();
+        }
+        const invalid = this._reportIssues([{ path: 'labels', message: `expected an array, got ${_describe(newLabels)}` }]);
+        return invalid ? this._reject(invalid) : Promise.resolve(this);
+    }
+
+    setData({ labels, datasets } = {}) {
+        const issues = [];
+        if (labels !== undefined && !Array.isArray(labels)) {
+            issues.push({ path: 'labels', message: `expected an array, got ${_describe(labels)}` });
+        }
+        if (datasets !== undefined && !Array.isArray(datasets)) {
+            issues.push({ path: 'datasets', message: `expected an array, got ${_describe(datasets)}` });
+        } else if (datasets) {
+            const context = this._validationContext();
+            datasets.forEach((ds, i) => _validateDataset(ds, `datasets[${i}]`, this._config.type, Array.isArray(labels) ? labels : this._config.labels, issues, context));
+        }
+        const invalid = this._reportIssues(issues);
+        if (invalid) {
+            return this._reject(invalid);
+        }
+        this._recordHistory(['labels', 'datasets']);
+        this._dataVersion += 1;
+        if (Array.isArray(labels)) {
+            this._config.labels = labels;
+        }
+        if (Array.isArray(datasets)) {
+            this._config.datasets = datasets;
+        }
+        return this._update();
+    }
+
+    _rejectMissingDataset(index) {
+        const count = this._config.datasets.length;
+        const invalid = this._reportIssues([{
+            path: `datasets[${index}]`,
+            message: `no dataset at this index (the chart has ${count} dataset${count === 1 ? '' : 's'})`
+        }]);
+        return invalid ? this._reject(invalid) : Promise.resolve(this);
+    }
+
+    _reject(error) {
+        if (this._batchDepth > 0) {
+            this._batchErrors.push(error);
+            return Promise.resolve(this);
+        }
+        return Promise.reject(error);
+    }
+
+    _reportIssues(issues) {
+        if (!issues.length) {
+            return null;
+        }
+        const error = new _ValidationError(issues);
+        if (this._config.strict) {
+            return error;
+        }
+        console.warn(error.message);
+        return null;
+    }
+
+    _validationContext(type = this._config.type) {
+        return { time: _usesTimeAxis(this._config, type), resample: !!this._config.resample, locale: this._config.locale, indexAxis: this._config.options.indexAxis };
+    }
+
+    _isRegisteredType(type) {
+        const ChartJS = _loader.chartJs;
+        if (ChartJS) {
+            this._activePlugins().forEach(_preparePlugin);
+        }
+        return !ChartJS || _hasController(ChartJS, type);
+    }
+
+    addPlugin(plugin) {
+        const problem = _checkPlugin(plugin);
+        if (problem) {
+            return this._reject(new Error(`Invalid plugin: ${problem}.`));
+        }
+        const id = _pluginId(plugin);
+        const previous = this._localPlugins.get(id);
+        this._localPlugins.set(id, plugin);
+        _retainPlugin(plugin, this);
+        this._syncPlugins();
+        if (previous && previous !== plugin) {
+            _releasePlugin(previous, this);
+        }
+        return this._update();
+    }
+
+    removePlugin(plugin) {
+        const id = typeof plugin === 'string' ? plugin : _pluginId(plugin);
+        const local = this._localPlugins.get(id);
+        if (!local) {
+            return Promise.resolve(this);
+        }
+        this._localPlugins.delete(id);
+        this._syncPlugins();
+        _releasePlugin(local, this);
+        return this._update();
+    }
+
+    setPluginOptions(id, options) {
+        this._recordHistory(['pluginOptions']);
+        this._config.pluginOptions = { ...this._config.pluginOptions, [id]: options };
+        this._syncPlugins();
+        return this._update();
+    }
+
+    getPlugins() {
+        return this._activePlugins().map(_pluginId);
+    }
+
+    _activePlugins() {
+        if (this._destroyed) {
+            return [];
+        }
+        const enabled = plugin => this._config.pluginOptions[_pluginId(plugin)] !== false;
+        return _plugins.list()
+            .filter(plugin => !this._localPlugins.has(_pluginId(plugin)))
+            .concat(Array.from(this._localPlugins.values()))
+            .filter(enabled);
+    }
+
+    _pluginOptions(plugin) {
+        const own = this._config.pluginOptions[_pluginId(plugin)];
+        return { ...plugin.defaults, ...(typeof own === 'object' && own ? own : {}) };
+    }
+
+    _callPlugin(plugin, hook, args) {
+        if (typeof plugin[hook] !== 'function') {
+            return undefined;
+        }
+        try {
+            return plugin[hook](this, args, this._pluginOptions(plugin));
+        } catch (error) {
+            console.error(`Plugin '${_pluginId(plugin)}' failed in ${hook}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    _notifyPlugins(hook, args, key) {
+        return this._activePlugins().reduce((value, plugin) => {
+            const result = this._callPlugin(plugin, hook, key ? { ...args, [key]: value } : args);
+            return key && result !== undefined && result !== null ? result : value;
+        }, key ? args[key] : undefined);
+    }
+
+    _syncPlugins() {
+        const active = this._activePlugins();
+        this._installedPlugins.forEach(plugin => {
+            if (!active.includes(plugin)) {
+                this._installedPlugins.delete(plugin);
+                this._callPlugin(plugin, 'uninstall', {});
+            }
+        });
+        active.forEach(plugin => {
+            if (!this._installedPlugins.has(plugin)) {
+                this._installedPlugins.add(plugin);
+                this._callPlugin(plugin, 'install', {});
+            }
+        });
+    }
+
+    toggleTheme() {
+        return this.setTheme(_themeMode(this._config.theme, this._config.autoTheme) === 'dark' ? 'light' : 'dark');
+    }
+
+    setTheme(name) {
+        if (!_hasTheme(name)) {
+            console.warn(`Unknown theme '${name}'. Register it with Chart.registerTheme() first.`);
+            return Promise.resolve(this);
+        }
+        this._recordHistory(['theme']);
+        this._config.theme = name;
+        this._syncColorSchemeWatcher();
+        return this._update();
+    }
+
+    setPalette(palette) {
+        this._recordHistory(['palette']);
+        this._config.palette = Array.isArray(palette) || typeof palette === 'string' ? palette : [];
+        _warnUnknownPalette(this._config.palette);
+        return this._update();
+    }
+
+    getTheme() {
+        return this._config.theme;
+    }
+
+    getThemeTokens() {
+        return this._resolveThemeTokens();
+    }
+
+    _syncColorSchemeWatcher() {
+        if (this._config.theme === 'auto' && !this._unwatchColorScheme) {
+            this._unwatchColorScheme = _watchColorScheme(() => {
+                this._update().catch(error => console.warn(`Could not update the chart for the new color scheme: ${error.message}`));
+            });
+        } else if (this._config.theme !== 'auto' && this._unwatchColorScheme) {
+            this._unwatchColorScheme();
+            this._unwatchColorScheme = null;
+        }
+    }
+
+    setLocale(locale) {
+        const issues = _validateLocale(locale ?? undefined, 'locale');
+        const invalid = this._reportIssues(issues);
+        if (invalid) {
+            return this._reject(invalid);
+        }
+        if (issues.length) {
+            return Promise.resolve(this);
+        }
+        this._recordHistory(['locale']);
+        this._config.locale = locale || null;
+        return this._update();
+    }
+
+    setFormat(format) {
+        const invalid = this._reportIssues(_validateFormat(format ?? undefined, 'format', this._config.locale));
+        if (invalid) {
+            return this._reject(invalid);
+        }
+        this._recordHistory(['format']);
+        this._config.format = format ?? null;
+        return this._update();
+    }
+
+    getLocale() {
+        return this._config.locale ?? new Intl.NumberFormat().resolvedOptions().locale;
+    }
+
+    formatValue(value, datasetIndex) {
+        const spec = (datasetIndex !== undefined ? this._config.datasets[datasetIndex]?.format : undefined) ?? this._config.format;
+        return _formatter(spec ?? 'number', this._config.locale ?? undefined)(value);
+    }
+
+    _applyDirection(element) {
+        if (this._isRtl()) {
+            element.setAttribute('dir', 'rtl');
+        } else {
+            element.removeAttribute('dir');
+        }
+        if (this._config.locale) {
+            element.setAttribute('lang', this._config.locale);
+        } else {
+            element.removeAttribute('lang');
+        }
+    }
+
+    _hasFormat() {
+        return !!(this._config.format || this._config.locale || this._config.datasets.some(ds => ds && ds.format));
+    }
+
+    _isRtl() {
+        return this._config.rtl ?? _isRtlLocale(this._config.locale);
+    }
+
+    _formatPoint(raw, datasetIndex, chart) {
+        const cfg = this._config;
+        const spec = cfg.datasets[datasetIndex]?.format ?? cfg.format ?? (cfg.locale ? 'number' : null);
+        if (!spec) {
+            return null;
+        }
+        const valueAxis = chart.options.indexAxis === 'y' ? 'x' : 'y';
+        const value = raw !== null && typeof raw === 'object' && !(raw instanceof Date)
+            ? raw.v ?? raw.flow ?? raw[valueAxis]
+            : raw;
+        if (value === null || value === undefined || typeof value === 'object') {
+            return null;
+        }
+        const format = _formatter(spec, cfg.locale ?? undefined);
+        if (_isPercent(spec) && _isShareType(cfg.type)) {
+            const data = chart.data.datasets[datasetIndex]?.data ?? [];
+            let total = 0;
+            for (let i = 0; i < data.length; i++) {
+                const item = Number(data[i]);
+                if (Number.isFinite(item) && chart.getDataVisibility(i)) {
+                    total += item;
+                }
+            }
+            return format(total ? Number(value) / total : 0);
+        }
+        return format(value);
+    }
+
+    updateType(newType) {
+        const issues = _validateType(newType, type => this._isRegisteredType(type));
+        if (!issues.length && !this._records) {
+            const context = this._validationContext(newType);
+            this._config.datasets.forEach((ds, i) => _validateDataset(ds, `datasets[${i}]`, newType, this._config.labels, issues, context));
+        }
+        const invalid = this._reportIssues(issues);
+        if (invalid) {
+            return this._reject(invalid);
+        }
+        this._recordHistory(['type']);
+        this._config.type = newType;
+        return this._update();
+    }
+
+    addAnnotation(annotation) {
+        const invalid = this._reportIssues(_validateAnnotation(annotation, `annotations[${this._config.annotations.length}]`));
+        if (invalid) {
+            return this._reject(invalid);
+        }
+        this._recordHistory(['annotations']);
+        this._config.annotations.push(this._withAnnotationId(annotation));
+        return this._update();
+    }
+
+    removeAnnotation(id) {
+        const index = this._config.annotations.findIndex(item => item.id === id);
+        if (index < 0) {
+            const invalid = this._reportIssues([{ path: 'annotations', message: `no annotation with id ${_describe(id)}` }]);
+            return invalid ? this._reject(invalid) : Promise.resolve(this);
+        }
+        this._recordHistory(['annotations']);
+        this._config.annotations.splice(index, 1);
+        return this._update();
+    }
+
+    getAnnotations() {
+        return this._config.annotations.slice();
+    }
+
+    _withAnnotationId(annotation) {
+        return annotation && typeof annotation === 'object' && annotation.id === undefined
+            ? { ...annotation, id: _nextId('annotation') }
+            : annotation;
+    }
+
+    updateTitle(newTitleText) {
+        this._recordHistory(['titleText']);
+        this._config.titleText = newTitleText;
+        return this._update();
+    }
+
+    fromRecords(records, spec = {}) {
+        this._recordSpec = spec;
+        this._records = _parseRecords(records, spec.format);
+        this._applyRecords();
+        return this._update();
+    }
+
+    setRecords(records) {
+        if (!this._recordSpec) {
+            return this.fromRecords(records);
+        }
+        this._records = _parseRecords(records, this._recordSpec.format);
+        this._applyRecords();
+        return this._update();
+    }
+
+    addRecords(records) {
+        const incoming = _parseRecords(records, this._recordSpec?.format);
+        return this.setRecords((this._records ?? []).concat(incoming));
+    }
+
+    getRecords() {
+        return this._records ?? [];
+    }
+
+    connectFilter(state, options = {}) {
+        this.disconnectFilter();
+        this._crossFilter = {
+            state,
+            field: options.field ?? null,
+            label: options.label ?? null,
+            onChange: () => {
+                if (this._records) {
+                    this._applyRecords();
+                    this._update().catch(error => console.warn(`Could not update the chart for the new filters: ${error.message}`));
+                }
+            }
+        };
+        state.on('change', this._crossFilter.onChange);
+        if (this._records) {
+            this._applyRecords();
+            if (this._chartInstance) {
+                return this._update();
+            }
+        }
+        return Promise.resolve(this);
+    }
+
+    disconnectFilter() {
+        if (!this._crossFilter) {
+            return;
+        }
+        this._crossFilter.state.off('change', this._crossFilter.onChange);
+        this._crossFilter = null;
+        if (this._records) {
+            this._applyRecords();
+            if (this._chartInstance) {
+                this._update().catch(error => console.warn(`Could not update the chart after disconnecting its filters: ${error.message}`));
+            }
+        }
+    }
+
+    _handleClick(evt, elements) {
+        if (!elements || !elements.length) {
+            return;
+        }
+        const point = this._resolvePoint(elements[0].datasetIndex ?? 0, elements[0].index);
+        if (!point) {
+            return;
+        }
+        this.emit('pointclick', { ...point, event: evt, chart: this });
+        const group = this._recordGroups[point.sourceIndex];
+        if (group && this._drillPath.length < _drillLevels(this._config.drilldown).length - 1) {
+            this._drillInto(group);
+            return;
+        }
+        const crossFilter = this._crossFilter;
+        const spec = this._activeRecordSpec();
+        const field = crossFilter?.field ?? (typeof spec?.x === 'string' ? spec.x : null);
+        if (!crossFilter || !field) {
+            return;
+        }
+        if (group) {
+            crossFilter.state.toggle(field, group.members, {
+                source: this,
+                label: crossFilter.label ?? field,
+                display: String(group.label)
+            });
+        }
+    }
+
+    _resolvePoint(datasetIndex, index) {
+        const instance = this._chartInstance;
+        const rendered = instance?.data.datasets[datasetIndex];
+        if (!rendered || index < 0 || index >= rendered.data.length) {
+            return null;
+        }
+        const point = rendered.data[index];
+        const sourceIndex = this._pointIndex?.[datasetIndex]?.[index] ?? index;
+        const dataset = this._config.datasets[datasetIndex] ?? rendered;
+        const isObject = point !== null && typeof point === 'object' && !Array.isArray(point);
+        const label = instance.data.labels?.[index] ?? (isObject ? point.x ?? point.label : undefined);
+        const value = isObject ? point.y ?? point.v ?? point.flow ?? point.value ?? point : point;
+
+        let records = [];
+        let rawRecord = point;
+        if (this._records) {
+            records = this._recordGroups[sourceIndex]?.series[datasetIndex] ?? [];
+            rawRecord = records[0] ?? null;
+        } else if (!this._timeAxisOptions() && this._config.type.toLowerCase() !== 'histogram' && Array.isArray(dataset.data)) {
+            rawRecord = dataset.data[sourceIndex];
+        }
+        return { label, value, dataset, datasetIndex, index, sourceIndex, rawRecord, records };
+    }
+
+    _emitLegendToggle(item, chart) {
+        const byIndex = item.datasetIndex === undefined && item.index !== undefined;
+        this.emit('legendtoggle', {
+            label: item.text,
+            visible: byIndex ? chart.getDataVisibility(item.index) : chart.isDatasetVisible(item.datasetIndex),
+            datasetIndex: item.datasetIndex ?? null,
+            index: byIndex ? item.index : null,
+            dataset: byIndex ? null : (this._config.datasets[item.datasetIndex] ?? chart.data.datasets[item.datasetIndex]),
+            chart: this
+        });
+    }
+
+    drillDown(value) {
+        const levels = _drillLevels(this._config.drilldown);
+        if (levels.length && !this._records) {
+            const invalid = this._reportIssues([{ path: 'drilldown', message: 'needs records to drill into; bind them with fromRecords() first' }]);
+            return invalid ? this._reject(invalid) : Promise.resolve(this);
+        }
+        if (this._drillPath.length >= levels.length - 1) {
+            return Promise.resolve(this);
+        }
+        const group = this._recordGroups.find(item => item.label === value || String(item.label) === String(value));
+        if (!group) {
+            const level = levels[this._drillPath.length];
+            const invalid = this._reportIssues([{ path: 'drilldown', message: `${level.label} has no value ${_describe(value)}` }]);
+            return invalid ? this._reject(invalid) : Promise.resolve(this);
+        }
+        return this._drillInto(group);
+    }
+
+    drillUp(steps = 1) {
+        return this.drillTo(Math.max(0, this._drillPath.length - steps));
+    }
+
+    drillTo(depth) {
+        if (!(depth >= 0) || depth >= this._drillPath.length) {
+            return Promise.resolve(this);
+        }
+        this._drillPath = this._drillPath.slice(0, depth);
+        return this._applyDrill();
+    }
+
+    getDrillPath() {
+        const levels = _drillLevels(this._config.drilldown);
+        return this._drillPath.map((step, i) => ({ field: levels[i].field, label: levels[i].label, value: step.value }));
+    }
+
+    _drillInto(group) {
+        this._drillPath = this._drillPath.concat({ value: group.label, members: group.members, display: String(group.label) });
+        return this._applyDrill();
+    }
+
+    _applyDrill() {
+        const levels = _drillLevels(this._config.drilldown);
+        const level = levels[this._drillPath.length];
+        this._applyRecords();
+        this._renderDrillBreadcrumb();
+        if (this._a11y) {
+            const last = this._drillPath[this._drillPath.length - 1];
+            this._a11y.live.textContent = last ? `Showing ${level.label} for ${last.display}.` : `Showing all ${level.label}.`;
+        }
+        this.emit('drill', { depth: this._drillPath.length, level: level.label, field: level.field, path: this.getDrillPath(), chart: this });
+        return this._chartInstance ? this._update() : Promise.resolve(this);
+    }
+
+    _activeRecordSpec() {
+        const levels = _drillLevels(this._config.drilldown);
+        if (!this._recordSpec || !levels.length) {
+            return this._recordSpec;
+        }
+        return { ...this._recordSpec, x: levels[Math.min(this._drillPath.length, levels.length - 1)].field };
+    }
+
+    _setupDrilldown() {
+        const drilldown = this._config.drilldown;
+        if (this._headless || !_drillLevels(drilldown).length || drilldown.breadcrumb === false) {
+            return;
+        }
+        const element = _isElement(drilldown.breadcrumb) ? drilldown.breadcrumb : document.createElement('nav');
+        this._drillBreadcrumb = {
+            view: new _DrillBreadcrumb(element, depth => this.drillTo(depth)),
+            element,
+            owned: element !== drilldown.breadcrumb
+        };
+    }
+
+    _renderDrillBreadcrumb() {
+        const breadcrumb = this._drillBreadcrumb;
+        if (!breadcrumb) {
+            return;
+        }
+        if (breadcrumb.owned && !breadcrumb.element.isConnected && this._canvas.parentNode) {
+            this._canvas.insertAdjacentElement('beforebegin', breadcrumb.element);
+        }
+        this._applyDirection(breadcrumb.element);
+        breadcrumb.view.render(this._drillPath, _drillLevels(this._config.drilldown), this._config.drilldown.rootLabel ?? 'All');
+    }
+
+    _applyRecords() {
+        const spec = this._activeRecordSpec();
+        const drillFilter = _drillPredicate(_drillLevels(this._config.drilldown), this._drillPath);
+        const filters = [this._crossFilter ? this._crossFilter.state.predicate(this) : null, drillFilter].filter(Boolean);
+        const records = filters.length ? this._records.filter(record => filters.every(filter => filter(record))) : this._records;
+        const token = ++this._recordsToken;
+        if (!_offload.shouldOffload(records.length)) {
+            this._recordsPending = null;
+            this._setAggregation(_aggregateRecords(records, spec));
+            return;
+        }
+        const { datasetOptions, format, ...workerSpec } = spec;
+        this._recordsPending = _offload.run('aggregate', { records, spec: workerSpec }).then(result => {
+            if (token === this._recordsToken) {
+                this._recordsPending = null;
+                this._setAggregation(_restoreGroups(result, records));
+            }
+        }, error => {
+            if (token === this._recordsToken) {
+                this._recordsPending = null;
+            }
+            throw error;
+        });
+    }
+
+    _setAggregation({ labels, datasets, groups }) {
+        const spec = this._recordSpec;
+        this._config.labels = labels;
+        this._config.datasets = datasets.map((ds, i) => {
+            const extra = typeof spec.datasetOptions === 'function'
+                ? spec.datasetOptions(ds.label, i)
+                : spec.datasetOptions;
+            return { ...(extra ?? {}), ...ds };
+        });
+        this._recordGroups = groups;
+    }
+
+    transaction(fn) {
+        const outermost = this._batchDepth === 0;
+        if (outermost) {
+            this._historyBatch = {};
+        }
+        this._batchDepth += 1;
+        let errors = [];
+        try {
+            fn(this);
+        } finally {
+            this._batchDepth -= 1;
+            if (outermost) {
+                const batch = this._historyBatch;
+                this._historyBatch = null;
+                if (Object.keys(batch).length) {
+                    this._pushHistory(batch);
+                }
+                errors = this._batchErrors.splice(0);
+            }
+        }
+        const update = this._batchDepth === 0 && this._pendingUpdate ? this._update() : Promise.resolve(this);
+        if (!errors.length) {
+            return update;
+        }
+        const failure = errors.length === 1
+            ? errors[0]
+            : new _ValidationError(errors.flatMap(error => error.issues ?? [{ path: 'transaction', message: error.message }]));
+        return update.then(() => Promise.reject(failure));
+    }
+
+    appendPoint(dsIndex, label, value) {
+        const ds = this._config.datasets[dsIndex];
+        if (!ds) {
+            return Promise.resolve(this);
+        }
+        if (!Array.isArray(ds.data)) {
+            ds.data = ArrayBuffer.isView(ds.data) ? Array.from(ds.data) : [];
+        }
+        if (label !== undefined && this._config.labels.length <= ds.data.length) {
+            this._config.labels.push(label);
+        }
+        ds.data.push(value);
+        this._dataVersion += 1;
+        this._trimToWindow();
+        return this._update();
+    }
+
+    pushRows(rows) {
+        if (!Array.isArray(rows) || !rows.length) {
+            return Promise.resolve(this);
+        }
+        const datasets = this._config.datasets;
+        rows.forEach(row => {
+            const label = Array.isArray(row) ? row[0] : row.label;
+            const values = Array.isArray(row) ? row.slice(1) : (row.values ?? []);
+            if (label !== undefined) {
+                this._config.labels.push(label);
+            }
+            const position = label !== undefined ? this._config.labels.length - 1 : null;
+            values.forEach((value, i) => {
+                if (!datasets[i]) {
+                    return;
+                }
+                if (!Array.isArray(datasets[i].data)) {
+                    datasets[i].data = ArrayBuffer.isView(datasets[i].data) ? Array.from(datasets[i].data) : [];
+                }
+                while (position !== null && datasets[i].data.length < position) {
+                    datasets[i].data.push(null);
+                }
+                datasets[i].data.push(value);
+            });
+        });
+        this._dataVersion += 1;
+        this._trimToWindow();
+        return this._update();
+    }
+
+    setMaxPoints(maxPoints) {
+        this._recordHistory(['maxPoints', 'labels', 'datasets']);
+        this._config.maxPoints = typeof maxPoints === 'number' && maxPoints > 0 ? maxPoints : null;
+        if (this._trimToWindow()) {
+            return this._update();
+        }
+        return Promise.resolve(this);
+    }
+
+    _trimToWindow() {
+        const maxPoints = this._config.maxPoints;
+        if (!maxPoints) {
+            return false;
+        }
+        let trimmed = false;
+        const labels = this._config.labels;
+        const labelExcess = labels.length - maxPoints;
+        if (labelExcess > 0) {
+            labels.splice(0, labelExcess);
+            trimmed = true;
+        }
+        this._config.datasets.forEach(ds => {
+            if (!Array.isArray(ds.data) && !ArrayBuffer.isView(ds.data)) {
+                return;
+            }
+            const excess = labelExcess > 0 ? Math.min(labelExcess, ds.data.length) : ds.data.length - maxPoints;
+            if (excess > 0 && ArrayBuffer.isView(ds.data)) {
+                ds.data = ds.data.subarray(excess);
+                trimmed = true;
+            } else if (excess > 0) {
+                ds.data.splice(0, excess);
+                trimmed = true;
+            }
+        });
+        if (trimmed) {
+            this._dataVersion += 1;
+        }
+        return trimmed;
+    }
+
+    undo() {
+        const entry = this._undoStack.pop();
+        if (!entry) {
+            return Promise.resolve(this);
+        }
+        this._redoStack.push(this._swapState(entry));
+        return this._update();
+    }
+
+    redo() {
+        const entry = this._redoStack.pop();
+        if (!entry) {
+            return Promise.resolve(this);
+        }
+        this._undoStack.push(this._swapState(entry));
+        return this._update();
+    }
+
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    clearHistory() {
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+
+    _recordHistory(keys) {
+        if (!this._config.historyLimit) {
+            return;
+        }
+        if (this._historyBatch) {
+            Object.assign(this._historyBatch, this._snapshot(keys.filter(key => !(key in this._historyBatch))));
+            return;
+        }
+        this._pushHistory(this._snapshot(keys));
+    }
+
+    _pushHistory(entry) {
+        this._undoStack.push(entry);
+        if (this._undoStack.length > this._config.historyLimit) {
+            this._undoStack.splice(0, this._undoStack.length - this._config.historyLimit);
+        }
+        this._redoStack = [];
+    }
+
+    _snapshot(keys) {
+        const snapshot = {};
+        keys.forEach(key => {
+            const value = this._config[key];
+            if (key === 'datasets') {
+                snapshot[key] = value.map(ds => ({ ...ds, data: Array.isArray(ds.data) || ArrayBuffer.isView(ds.data) ? ds.data.slice() : ds.data }));
+            } else {
+                snapshot[key] = Array.isArray(value) ? value.slice() : value;
+            }
+        });
+        return snapshot;
+    }
+
+    _swapState(entry) {
+        const current = this._snapshot(Object.keys(entry));
+        Object.assign(this._config, entry);
+        if ('datasets' in entry) {
+            this._dataVersion += 1;
+        }
+        if ('theme' in entry) {
+            this._syncColorSchemeWatcher();
+        }
+        if ('pluginOptions' in entry) {
+            this._syncPlugins();
+        }
+        return current;
+    }
+
+    toJSON() {
+        const cfg = this._config;
+        const state = {
+            version: SCHEMA_VERSION,
+            type: cfg.type,
+            titleText: cfg.titleText,
+            theme: cfg.theme,
+            autoTheme: _toPlain(cfg.autoTheme),
+            palette: _toPlain(cfg.palette),
+            options: _toPlain(cfg.options),
+            enableDataLabels: cfg.enableDataLabels,
+            ariaLabel: cfg.ariaLabel,
+            maxPoints: cfg.maxPoints,
+            locale: cfg.locale,
+            format: _toPlain(cfg.format),
+            rtl: cfg.rtl,
+            timeAxis: _toPlain(cfg.timeAxis),
+            resample: _toPlain(cfg.resample),
+            annotations: _toPlain(cfg.annotations),
+            pluginOptions: _toPlain(cfg.pluginOptions),
+            lazy: typeof cfg.lazy === 'object' && Object.keys(cfg.lazy).length ? _toPlain(cfg.lazy) : !!cfg.lazy,
+            strict: cfg.strict
+        };
+        if (cfg.decimation !== null) {
+            state.decimation = _toPlain(cfg.decimation);
+        }
+        if (!cfg.autoDestroy) {
+            state.autoDestroy = false;
+        }
+        if (cfg.drilldown) {
+            const { path, breadcrumb, ...drilldown } = cfg.drilldown;
+            state.drilldown = _toPlain(this._drillPath.length ? { ...drilldown, path: this._drillPath.map(step => step.value) } : drilldown);
+        }
+        const accessibility = _toPlain(cfg.accessibility);
+        if (JSON.stringify(accessibility) !== JSON.stringify({ summary: true, table: 'hidden', keyboard: true, maxRows: 500 })) {
+            state.accessibility = accessibility;
+        }
+        if (this._records) {
+            state.records = _toPlain(this._records);
+            state.aggregate = _toPlain(this._recordSpec);
+            return _compact(state, ['type', 'theme', 'decimation', 'autoDestroy']);
+        }
+        state.labels = _toPlain(cfg.labels);
+        state.datasets = _toPlain(cfg.datasets);
+        return _compact(state, ['type', 'theme', 'labels', 'datasets', 'decimation', 'autoDestroy']);
+    }
+
+    toURLHash(key = 'chart') {
+        const state = this.toJSON();
+        Object.keys(HASH_DEFAULTS).forEach(name => {
+            if (state[name] === HASH_DEFAULTS[name]) {
+                delete state[name];
+            }
+        });
+        return `#${encodeURIComponent(key)}=${_encodeState(_compact(state, ['decimation', 'autoDestroy']))}`;
+    }
+
+    _update(mode) {
+        if (this._batchDepth > 0) {
+            this._pendingUpdate = true;
+            return Promise.resolve(this);
+        }
+        this._pendingUpdate = false;
+
+        const ChartJS = _loader.chartJs;
+        if (!this._chartInstance || !ChartJS) {
+            return this.Render();
+        }
+        if (this._isSuspended()) {
+            this._deferredUpdate = true;
+            return Promise.resolve(this);
+        }
+        const pending = this._precompute();
+        if (pending) {
+            return pending.then(() => (this._chartInstance ? this._update(mode) : this));
+        }
+
+        let chartConfig;
+        try {
+            chartConfig = this._buildChartConfig(ChartJS);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        if (chartConfig.type !== this._chartInstance.config.type) {
+            this._buildAndRender(ChartJS);
+            return Promise.resolve(this);
+        }
+
+        this._patchInstance(chartConfig, mode);
+        return Promise.resolve(this);
+    }
+
+    _patchInstance(chartConfig, mode) {
+        const instance = this._chartInstance;
+        const data = instance.data;
+        const nextDatasets = chartConfig.data.datasets;
+
+        data.labels = chartConfig.data.labels;
+        nextDatasets.forEach((ds, i) => {
+            const current = data.datasets[i];
+            if (!current) {
+                data.datasets.push(ds);
+                return;
+            }
+            Object.keys(current).forEach(key => {
+                if (!(key in ds)) {
+                    delete current[key];
+                }
+            });
+            Object.assign(current, ds);
+        });
+        data.datasets.splice(nextDatasets.length);
+
+        instance.options = chartConfig.options;
+        instance.update(mode);
+        this._refreshAccessibility();
+        this._notifyPlugins('afterRender', { update: true });
+        this.emit('render', { chart: this, update: true });
+    }
 
-            if (window.Chart && _chartCoreInitiated) {
-                Chart._loadScript(plugin.src)
-                    .then(() => {
-                        let pluginToRegister = null;
-                        if (window.Chart.plugins && window.Chart.plugins.getAll) {
-                            pluginToRegister = window.Chart.plugins.getAll().find(p => p.id === plugin.name || p.id === `${plugin.name}Plugin`);
-                        }
-                        if (!pluginToRegister && window[plugin.name]) {
-                            pluginToRegister = window[plugin.name];
-                        }
+    getSummary() {
+        const summary = this._config.accessibility.summary;
+        if (typeof summary === 'string') {
+            return summary;
+        }
+        const table = this.getExportData();
+        return typeof summary === 'function' ? String(summary(table)) : _summarize(table);
+    }
 
-                        if (pluginToRegister) {
-                            window.Chart.register(pluginToRegister);
-                        }
-                    })
-                    .catch(error => console.error(`Failed to load plugin script for '${plugin.name}': ${error.message}`));
+    showDataTable(visible = true) {
+        if (this._a11y) {
+            this._a11y.tableVisible = visible;
+            _setVisuallyHidden(this._a11y.table, !visible);
+            if (visible) {
+                this._rebuildAccessibility();
             }
         }
+        return this;
     }
 
-    static _loadScript(src) {
-        if (_loadedScripts.has(src)) {
-            return Promise.resolve();
+    _setupAccessibility() {
+        const settings = this._config.accessibility;
+        if (this._headless || (!settings.summary && !settings.table && !settings.keyboard)) {
+            return;
+        }
+        const container = document.createElement('div');
+        container.className = 'ajay-a11y';
+        const summary = document.createElement('p');
+        summary.id = _nextId('ajay-chart-summary');
+        summary.className = 'ajay-chart-summary';
+        _setVisuallyHidden(summary, true);
+        const table = document.createElement('div');
+        table.id = _nextId('ajay-chart-table');
+        table.className = 'ajay-chart-table';
+        _setVisuallyHidden(table, settings.table !== 'visible');
+        const live = document.createElement('div');
+        live.className = 'ajay-chart-live';
+        live.setAttribute('role', 'status');
+        live.setAttribute('aria-live', 'polite');
+        _setVisuallyHidden(live, true);
+        container.append(summary, table, live);
+
+        const onFocus = () => this._rebuildAccessibility();
+        this._canvas.addEventListener('focus', onFocus);
+        container.addEventListener('focusin', onFocus);
+        this._a11y = { container, summary, table, live, tableVisible: settings.table === 'visible', navigator: null, onFocus, stale: false, timer: null };
+        if (settings.keyboard) {
+            this._canvas.tabIndex = 0;
+            this._a11y.navigator = new _KeyboardNavigator(this._canvas, () => this._chartInstance, text => {
+                live.textContent = text;
+            }, (position, event) => this._handleClick(event, [position]));
         }
-        return new Promise((resolve, reject) => {
-            const s = document.createElement('script');
-            s.src = src;
-            s.async = true;
-            s.onload = () => {
-                _loadedScripts.add(src);
-                resolve();
-            };
-            s.onerror = () => {
-                reject(new Error(`Failed to load script: ${src}`));
-            };
-            document.head.appendChild(s);
-        });
     }
 
-    constructor(canvasElement, initialConfig = {}) {
-        if (!(canvasElement instanceof HTMLCanvasElement)) {
-            throw new Error("`Chart` requires a valid <canvas> element.");
+    _refreshAccessibility(immediate = false) {
+        const a11y = this._a11y;
+        if (!a11y) {
+            return;
         }
-        this._canvas = canvasElement;
-        this._ctx = this._canvas.getContext('2d');
-        this._chartInstance = null;
+        if (!a11y.container.isConnected && this._canvas.parentNode) {
+            this._canvas.insertAdjacentElement('afterend', a11y.container);
+        }
+        this._applyDirection(a11y.container);
+        a11y.stale = true;
+        if (immediate) {
+            this._rebuildAccessibility();
+        } else if (!a11y.timer && !this._isSuspended()) {
+            a11y.timer = setTimeout(() => this._rebuildAccessibility(), A11Y_REFRESH_DELAY);
+        }
+    }
 
-        this._canvas.setAttribute('role', 'img');
-        if (initialConfig.ariaLabel) {
-            this._canvas.setAttribute('aria-label', initialConfig.ariaLabel);
-        }
-
-        if (!_chartCoreInitiated) {
-            const coreChartJsUrl = 'https://cdn.jsdelivr.net/npm/chart.js';
-            Chart._loadScript(coreChartJsUrl)
-                .then(() => {
-                    _chartCoreInitiated = true;
-                    const pluginLoadPromises = [];
-                    _registeredPlugins.forEach(plugin => {
-                        pluginLoadPromises.push(Chart._loadScript(plugin.src).then(() => {
-                            if (plugin.globalRegister && window.Chart && typeof window.Chart.register === 'function') {
-                                let pluginToRegister = null;
-                                if (window.Chart.plugins && window.Chart.plugins.getAll) {
-                                    pluginToRegister = window.Chart.plugins.getAll().find(p => p.id === plugin.name || p.id === `${plugin.name}Plugin`);
-                                }
-                                if (!pluginToRegister && window[plugin.name]) {
-                                    pluginToRegister = window[plugin.name];
-                                }
-
-                                if (pluginToRegister) {
-                                    window.Chart.register(pluginToRegister);
-                                }
-                            }
-                        }).catch(error => console.error(`Failed to load and register plugin '${plugin.name}': ${error.message}`)));
-                    });
-                    return Promise.allSettled(pluginLoadPromises);
-                })
-                .catch(error => console.error(`Initial Chart.js setup failed: ${error.message}`));
+    _rebuildAccessibility() {
+        const a11y = this._a11y;
+        if (!a11y || !a11y.stale) {
+            return;
         }
+        clearTimeout(a11y.timer);
+        a11y.timer = null;
+        a11y.stale = false;
+        const settings = this._config.accessibility;
+        const describedBy = [];
+        if (settings.summary) {
+            a11y.summary.textContent = this.getSummary();
+            describedBy.push(a11y.summary.id);
+        }
+        if (settings.table) {
+            a11y.table.replaceChildren(_buildDataTable(this.getExportData(), { maxRows: settings.maxRows }));
+            describedBy.push(a11y.table.id);
+        }
+        if (describedBy.length) {
+            this._canvas.setAttribute('aria-describedby', describedBy.join(' '));
+        }
+    }
 
-        this._config = {
-            type: initialConfig.type ?? 'line',
-            labels: Array.isArray(initialConfig.labels) ? initialConfig.labels : [],
-            datasets: Array.isArray(initialConfig.datasets) ? initialConfig.datasets : [],
-            titleText: typeof initialConfig.titleText === 'string' ? initialConfig.titleText : '',
-            theme: initialConfig.theme === 'light' ? 'light' : 'dark',
-            palette: Array.isArray(initialConfig.palette) ? initialConfig.palette : [],
-            options: typeof initialConfig.options === 'object' ? initialConfig.options : {},
-            onClick: typeof initialConfig.onClick === 'function' ? initialConfig.onClick : null,
-            onHover: typeof initialConfig.onHover === 'function' ? initialConfig.onHover : null,
-            enableDataLabels: typeof initialConfig.enableDataLabels === 'boolean' ? initialConfig.enableDataLabels : false,
-            tooltipCallbacks: typeof initialConfig.tooltipCallbacks === 'object' ? initialConfig.tooltipCallbacks : {},
-            legendCallbacks: typeof initialConfig.legendCallbacks === 'object' ? initialConfig.legendCallbacks : {},
-            ariaLabel: typeof initialConfig.ariaLabel === 'string' ? initialConfig.ariaLabel : '',
-        };
+    updateAriaLabel(newAriaLabel) {
+        this._config.ariaLabel = newAriaLabel;
+        if (!this._headless) {
+            this._canvas.setAttribute('aria-label', newAriaLabel);
+        }
+    }
 
-        this._resizeObserver = new ResizeObserver(() => {
-            if (this._chartInstance) {
-                this._chartInstance.resize();
+    toDataURL(options = {}) {
+        const { format = 'png', quality, pixelRatio = 2 } = options;
+        if (format === 'svg') {
+            return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.toSVG(options))}`;
+        }
+        const { width, height } = this._exportSize(options);
+        const canvas = _createCanvas(width, height);
+        const snapshot = this._renderSnapshot(canvas, { ...options, pixelRatio });
+        try {
+            return canvas.toDataURL(_mimeType(format), quality);
+        } finally {
+            snapshot.destroy();
+        }
+    }
+
+    toBlob(options = {}) {
+        return new Promise((resolve, reject) => {
+            try {
+                resolve(_dataURLToBlob(this.toDataURL(options)));
+            } catch (error) {
+                reject(error);
             }
         });
-        this._resizeObserver.observe(this._canvas.parentElement || this._canvas);
     }
 
-    Render() {
-        const waitForChartAndPlugins = () => {
-            const allRequiredPluginsLoaded = Array.from(_registeredPlugins.values()).every(plugin =>
-                _loadedScripts.has(plugin.src) &&
-                (!plugin.globalRegister || (window.Chart && window.Chart.registry && window.Chart.registry.getControllers().has(plugin.name)) ||
-                    (window.Chart && window.Chart.plugins && window.Chart.plugins.get(plugin.name)))
-            );
-
-            if (window.Chart && _chartCoreInitiated && allRequiredPluginsLoaded) {
-                this._buildAndRender();
-            } else {
-                setTimeout(waitForChartAndPlugins, 50);
-            }
+    toSVG(options = {}) {
+        const { width, height } = this._exportSize(options);
+        let measureContext = null;
+        try {
+            measureContext = _createCanvas(1, 1).getContext('2d');
+        } catch (error) {
+            measureContext = null;
+        }
+        const svgContext = new _SvgContext(width, height, measureContext);
+        const snapshot = this._renderSnapshot(svgContext, {
+            ...options,
+            pixelRatio: 1,
+            background: null,
+            platform: _loader.getExport('BasicPlatform')
+        });
+        const markup = svgContext.toSVG(this._exportBackground(options));
+        snapshot.destroy();
+        return markup;
+    }
+
+    renderToBuffer(options = {}) {
+        const { format = 'png', quality, pixelRatio = 1 } = options;
+        return _loader.ready()
+            .then(ChartJS => _loader.pluginsReady().then(() => ChartJS))
+            .then(() => {
+                if (format === 'svg') {
+                    return new TextEncoder().encode(this.toSVG(options));
+                }
+                const { width, height } = this._exportSize(options);
+                const canvas = _createCanvas(width, height);
+                const snapshot = this._renderSnapshot(canvas, { ...options, pixelRatio });
+                return _canvasToBytes(canvas, _mimeType(format), quality).finally(() => snapshot.destroy());
+            });
+    }
+
+    toPDFImage(options = {}) {
+        const { width, height } = this._exportSize(options);
+        return {
+            dataURL: this.toDataURL({ format: 'jpeg', quality: 0.95, pixelRatio: 3, ...options }),
+            width,
+            height
         };
-        waitForChartAndPlugins();
     }
 
-    _buildAndRender() {
-        const ChartJS = window.Chart;
+    exportAsImage(filename = 'chart.png', options = {}) {
+        const format = options.format ?? (/\.jpe?g$/i.test(filename) ? 'jpeg' : 'png');
+        return this.toBlob({ ...options, format }).then(blob => _downloadBlob(blob, filename));
+    }
+
+    exportAsSVG(filename = 'chart.svg', options = {}) {
+        const blob = new Blob([this.toSVG(options)], { type: 'image/svg+xml;charset=utf-8' });
+        _downloadBlob(blob, filename);
+    }
+
+    getExportData() {
         const cfg = this._config;
         const lowerType = cfg.type.toLowerCase();
-
-        let effectiveType = cfg.type;
-        switch (lowerType) {
-            case 'area':
-                effectiveType = 'line';
-                break;
-            case 'heatmap':
-                effectiveType = 'matrix';
-                break;
-            case 'treemap':
-                effectiveType = 'treemap';
-                break;
-            case 'candlestick':
-            case 'ohlc':
-                effectiveType = 'candlestick';
-                break;
-            case 'gauge':
-                effectiveType = 'doughnut';
-                break;
-            case 'funnel':
-                effectiveType = 'funnel';
-                break;
-            case 'boxplot':
-                effectiveType = 'boxplot';
-                break;
-            case 'histogram':
-                effectiveType = 'bar';
-                break;
+        const palette = this._generatePalette(cfg.datasets.length, cfg.theme);
+        const time = this._resolveTimeData(lowerType);
+        let datasets = (time ? time.datasets : cfg.datasets).map((ds, i) => this._normalizeDataset(ds, palette[i], lowerType, i));
+        let labels = this._prepareLabels(time ? time.labels : cfg.labels, lowerType, datasets);
+        if (time) {
+            const format = value => (typeof value === 'number' ? _formatTime(value, _exportFormat(time.unit), time.axis.timeZone) : value);
+            labels = labels.map(format);
+            datasets = datasets.map(ds => ({
+                ...ds,
+                data: ds.data.map(point => (point && typeof point === 'object' && !Array.isArray(point) ? { ...point, x: format(point.x) } : point))
+            }));
         }
 
-        if (['matrix', 'treemap', 'candlestick', 'funnel', 'boxplot'].includes(effectiveType)) {
-            let pluginRegistered = false;
-            if (ChartJS.registry && typeof ChartJS.registry.getControllers === 'function') {
-                pluginRegistered = ChartJS.registry.getControllers().has(effectiveType);
-            }
-            if (!pluginRegistered && ChartJS.plugins && typeof ChartJS.plugins.get === 'function') {
-                pluginRegistered = !!ChartJS.plugins.get(effectiveType);
-            }
+        return {
+            title: cfg.titleText,
+            type: cfg.type,
+            labels: lowerType === 'gauge' ? ['Value', 'Maximum'] : labels.slice(),
+            datasets: datasets.map(ds => ({
+                label: ds.label ?? '',
+                data: lowerType === 'histogram'
+                    ? ds.data.map(bin => bin.y)
+                    : (lowerType === 'gauge' ? [ds.needleValue, ds.max] : Array.from(ds.data))
+            }))
+        };
+    }
 
-            if (!pluginRegistered) {
-                effectiveType = 'bar';
-            }
+    serializeData(format = 'csv') {
+        const table = this.getExportData();
+        if (format === 'json') {
+            return JSON.stringify(table, null, 2);
         }
+        return _tableToCSV(table);
+    }
 
-        const palette =
-            Array.isArray(cfg.palette) && cfg.palette.length
-                ? cfg.palette
-                : this._generatePalette(cfg.datasets.length, cfg.theme);
-
-        const mergedOptions = this._mergeThemeOptions(cfg.theme, cfg.titleText, cfg.options, lowerType);
+    exportData(filename = 'chart.csv', format) {
+        const resolvedFormat = format ?? (/\.json$/i.test(filename) ? 'json' : 'csv');
+        const mime = resolvedFormat === 'json' ? 'application/json' : 'text/csv';
+        _downloadBlob(new Blob([this.serializeData(resolvedFormat)], { type: `${mime};charset=utf-8` }), filename);
+    }
 
-        if (cfg.onClick) mergedOptions.onClick = cfg.onClick;
-        if (cfg.onHover) mergedOptions.onHover = cfg.onHover;
+    _exportSize(options) {
+        const width = options.width ?? this._chartInstance?.width ?? (this._canvas.clientWidth || this._canvas.width);
+        const height = options.height ?? this._chartInstance?.height ?? (this._canvas.clientHeight || this._canvas.height);
+        return { width: Math.round(width), height: Math.round(height) };
+    }
 
-        const normalizedDatasets = cfg.datasets.map((ds, i) => {
-            return this._normalizeDataset(ds, palette[i % palette.length], lowerType);
-        });
+    _exportBackground(options) {
+        if (options.background === false) {
+            return null;
+        }
+        return options.background ?? this._resolveThemeTokens().background;
+    }
 
-        const finalLabels = this._prepareLabels(cfg.labels, lowerType, normalizedDatasets);
+    _renderSnapshot(target, options) {
+        const ChartJS = _loader.chartJs;
+        if (!ChartJS) {
+            throw new Error('Chart.js is not loaded yet; call Render() before exporting.');
+        }
+        const chartConfig = this._buildChartConfig(ChartJS);
+        const background = options.background === null ? null : this._exportBackground(options);
 
-        const chartConfig = {
-            type: effectiveType,
-            data: {
-                labels: finalLabels,
-                datasets: normalizedDatasets
+        const snapshotConfig = {
+            ...chartConfig,
+            ...(options.platform ? { platform: options.platform } : {}),
+            options: {
+                ...chartConfig.options,
+                responsive: false,
+                animation: false,
+                events: [],
+                devicePixelRatio: options.pixelRatio ?? 1
             },
-            options: mergedOptions
+            plugins: [...(chartConfig.plugins ?? []), _backgroundPlugin(background)]
         };
+        return new ChartJS(target, this._notifyPlugins('beforeExport', { config: snapshotConfig, options }, 'config'));
+    }
 
+    destroy() {
+        if (this._destroyed) {
+            return;
+        }
+        this._destroyed = true;
+        this.emit('destroy', { chart: this });
+        this._unwatchLifecycle();
+        _plugins.off('change', this._onPluginsChange);
+        this._syncPlugins();
+        this._localPlugins.forEach(plugin => _releasePlugin(plugin, this));
+        if (this._unwatchColorScheme) {
+            this._unwatchColorScheme();
+            this._unwatchColorScheme = null;
+        }
+        if (this._crossFilter) {
+            this._crossFilter.state.off('change', this._crossFilter.onChange);
+            this._crossFilter = null;
+        }
         if (this._chartInstance) {
             this._chartInstance.destroy();
+            this._chartInstance = null;
         }
+        if (this._a11y) {
+            this._a11y.navigator?.destroy();
+            clearTimeout(this._a11y.timer);
+            this._canvas.removeEventListener('focus', this._a11y.onFocus);
+            this._a11y.container.remove();
+            this._canvas.removeAttribute('aria-describedby');
+            this._canvas.removeAttribute('tabindex');
+            this._a11y = null;
+        }
+        if (this._drillBreadcrumb) {
+            this._drillBreadcrumb.view.destroy();
+            if (this._drillBreadcrumb.owned) {
+                this._drillBreadcrumb.element.remove();
+            }
+            this._drillBreadcrumb = null;
+        }
+        this._listeners.clear();
+    }
 
-        this._chartInstance = new ChartJS(this._ctx, chartConfig);
-
-        if (this._config.ariaLabel) {
-            this._canvas.setAttribute('aria-label', this._config.ariaLabel);
+    _lazyOptions() {
+        const lazy = this._config.lazy;
+        if (!lazy) {
+            return null;
         }
+        return { ...LAZY_DEFAULTS, ...(typeof lazy === 'object' ? lazy : {}) };
     }
 
-    addDataset(newDs) {
-        this._config.datasets.push(newDs);
-        this.Render();
+    _watchLifecycle() {
+        if (this._headless) {
+            return;
+        }
+        this._resizeTarget = this._canvas.parentElement || this._canvas;
+        _resizeScheduler.observe(this._resizeTarget, this._onResize);
+        const lazy = this._lazyOptions();
+        if (lazy && _visibilityWatcher.watch(this._canvas, this._onVisibility, lazy.rootMargin)) {
+            this._visible = null;
+        }
+        if (this._config.autoDestroy) {
+            _removalWatcher.track(this._canvas, () => this.destroy());
+        }
     }
 
-    removeDataset(index) {
-        if (index >= 0 && index < this._config.datasets.length) {
-            this._config.datasets.splice(index, 1);
-            this.Render();
+    _unwatchLifecycle() {
+        if (this._headless) {
+            return;
+        }
+        _resizeScheduler.unobserve(this._resizeTarget, this._onResize);
+        const lazy = this._lazyOptions();
+        if (lazy) {
+            _visibilityWatcher.unwatch(this._canvas, lazy.rootMargin);
         }
+        _removalWatcher.untrack(this._canvas);
     }
 
-    updateData(dsIndex, newData) {
-        if (this._config.datasets[dsIndex]) {
-            this._config.datasets[dsIndex].data = Array.isArray(newData) ? newData : [];
-            this.Render();
+    _isSuspended() {
+        if (this._visible === true) {
+            return false;
         }
+        return !this._chartInstance || this._lazyOptions()?.pause !== false;
     }
 
-    updateLabels(newLabels) {
-        if (Array.isArray(newLabels)) {
-            this._config.labels = newLabels;
-            this.Render();
+    _setVisible(visible) {
+        if (this._destroyed || this._visible === visible) {
+            return;
+        }
+        this._visible = visible;
+        if (!visible) {
+            if (this._chartInstance && this._isSuspended()) {
+                this._chartInstance.stop();
+            }
+            return;
         }
+        let resumed = null;
+        if (this._deferredRender) {
+            resumed = this.Render();
+        } else if (this._deferredUpdate) {
+            this._deferredUpdate = false;
+            this._resize();
+            resumed = this._update();
+        } else {
+            this._resize();
+        }
+        resumed?.catch(error => console.error(error));
     }
 
-    toggleTheme() {
-        this._config.theme = this._config.theme === 'dark' ? 'light' : 'dark';
-        this.Render();
+    _resize() {
+        if (this._headless || !this._chartInstance || this._config.options.responsive === false) {
+            return;
+        }
+        if (!this._isSuspended()) {
+            this._chartInstance.resize();
+        }
     }
 
-    updateType(newType) {
-        this._config.type = newType;
-        this.Render();
+    _normalizeDataset(source, defaultColor, lowerType, index) {
+        const ds = this._notifyPlugins('beforeNormalize', { dataset: source, index, type: lowerType }, 'dataset');
+        const ownType = this._datasetType(ds, lowerType);
+        const normalized = this._normalizeForType(ds, defaultColor, ownType);
+        if (ownType !== lowerType) {
+            normalized.type = ownType === 'area' ? 'line' : ownType;
+        }
+        if (normalized.order === undefined && this._isMixed(lowerType)) {
+            normalized.order = ownType === 'bar' ? 1 : 0;
+        }
+        if (typeof ds.yAxis === 'string' && ds.yAxis && MIXED_TYPES.includes(lowerType)) {
+            normalized[this._config.options.indexAxis === 'y' ? 'xAxisID' : 'yAxisID'] = ds.yAxis;
+        }
+        if (ds.stack !== undefined && ds.stack !== null) {
+            normalized.stack = String(ds.stack);
+        }
+        return normalized;
     }
 
-    updateTitle(newTitleText) {
-        this._config.titleText = newTitleText;
-        this.Render();
+    _datasetType(ds, lowerType) {
+        return typeof ds.type === 'string' && MIXED_TYPES.includes(lowerType) && MIXED_TYPES.includes(ds.type.toLowerCase())
+            ? ds.type.toLowerCase()
+            : lowerType;
     }
 
-    updateAriaLabel(newAriaLabel) {
-        this._config.ariaLabel = newAriaLabel;
-        this._canvas.setAttribute('aria-label', newAriaLabel);
+    _isMixed(lowerType) {
+        return this._config.datasets.some(ds => ds && this._datasetType(ds, lowerType) !== lowerType);
     }
 
-    destroy() {
-        if (this._chartInstance) {
-            this._chartInstance.destroy();
-            this._chartInstance = null;
+    _valueAxes(chartType) {
+        const primary = this._config.options.indexAxis === 'y' ? 'x' : 'y';
+        const axes = new Map([[primary, []]]);
+        if (!MIXED_TYPES.includes(chartType)) {
+            return axes;
         }
-        this._resizeObserver.disconnect();
+        this._config.datasets.forEach(ds => {
+            const id = ds && typeof ds.yAxis === 'string' && ds.yAxis ? ds.yAxis : primary;
+            if (!axes.has(id)) {
+                axes.set(id, []);
+            }
+            axes.get(id).push(ds);
+        });
+        return axes;
     }
 
-    _normalizeDataset(ds, defaultColor, lowerType) {
+    _normalizeForType(ds, defaultColor, lowerType) {
+        const scaleColors = this._scaleColors(ds, lowerType);
+        if (scaleColors) {
+            ds = { ...ds, backgroundColor: scaleColors };
+        }
         const base = {
             label: ds.label ?? '',
-            data: Array.isArray(ds.data) ? ds.data : [],
+            data: Array.isArray(ds.data) || ArrayBuffer.isView(ds.data) ? ds.data : [],
             backgroundColor: ds.backgroundColor ?? defaultColor,
             borderColor: ds.borderColor ?? defaultColor,
             borderWidth: typeof ds.borderWidth === 'number' ? ds.borderWidth : 2,
@@ -286,13 +1814,15 @@ export class _Chart {
                 break;
             case 'area':
                 base.pointRadius = typeof ds.pointRadius === 'number' ? ds.pointRadius : 4;
-                base.fill = typeof ds.fill === 'boolean' ? ds.fill : true;
+                base.fill = typeof ds.fill === 'boolean' || typeof ds.fill === 'string' ? ds.fill : (ds.stack !== undefined && ds.stack !== null ? 'stack' : true);
                 base.tension = typeof ds.tension === 'number' ? ds.tension : 0.4;
                 break;
             case 'pie':
             case 'doughnut':
             case 'polararea':
-                base.backgroundColor = Array.isArray(ds.backgroundColor) ? ds.backgroundColor : [defaultColor];
+            case 'funnel':
+                base.backgroundColor = ds.backgroundColor ?? this._generatePalette(base.data.length);
+                base.borderColor = ds.borderColor ?? this._resolveThemeTokens().background;
                 base.hoverOffset = typeof ds.hoverOffset === 'number' ? ds.hoverOffset : 4;
                 base.borderWidth = typeof ds.borderWidth === 'number' ? ds.borderWidth : 2;
                 break;
@@ -328,13 +1858,13 @@ export class _Chart {
                     groups: Array.isArray(ds.groups) ? ds.groups : [],
                     backgroundColor: base.backgroundColor,
                     spacing: typeof ds.spacing === 'number' ? ds.spacing : 2,
-                    fontColor: ds.fontColor ?? (this._config.theme === 'light' ? '#000000' : '#ffffff'),
+                    fontColor: ds.fontColor ?? this._resolveThemeTokens().text,
                     ...(ds.additionalProps ?? {})
                 };
             case 'boxplot':
                 return {
                     label: ds.label ?? 'Boxplot',
-                    data: base.data,
+                    data: base.data.map(item => (Array.isArray(item) || ArrayBuffer.isView(item) ? _boxplotStats(item, { coef: ds.coef }) : item)),
                     padding: typeof ds.padding === 'number' ? ds.padding : 10,
                     itemRadius: typeof ds.itemRadius === 'number' ? ds.itemRadius : 2,
                     outlierColor: ds.outlierColor ?? '#777777',
@@ -342,29 +1872,136 @@ export class _Chart {
                     ...(ds.additionalProps ?? {})
                 };
             case 'gauge':
-                const gaugeData = Array.isArray(ds.data) && ds.data.length >= 1
-                    ? [ds.data[0], Math.max(0, (ds.data[1] ?? 100) - ds.data[0])]
-                    : [0, 100];
-                return {
-                    label: ds.label ?? 'Gauge',
-                    data: gaugeData,
-                    backgroundColor: ds.backgroundColor ?? [defaultColor, '#e0e0e0'],
-                    borderWidth: 0,
-                    circumference: typeof ds.circumference === 'number' ? ds.circumference : 180,
-                    rotation: typeof ds.rotation === 'number' ? ds.rotation : -90,
-                    cutout: ds.cutout ?? '80%',
-                    ...(ds.additionalProps ?? {})
-                };
-            case 'funnel':
+                return this._buildGaugeDataset(ds, defaultColor);
             case 'sankey':
-            case 'chord':
-                break;
+                return this._buildSankeyDataset(ds);
             default:
                 break;
         }
         return base;
     }
 
+    _decimationOptions() {
+        const decimation = this._config.decimation;
+        if (decimation === false) {
+            return null;
+        }
+        const area = this._chartInstance?.chartArea;
+        const container = this._headless ? null : this._canvas.parentElement;
+        return {
+            ...DECIMATION_DEFAULTS,
+            ...(decimation ?? {}),
+            width: area ? area.right - area.left : (container?.clientWidth || this._canvas.width || 800),
+            height: area ? area.bottom - area.top : (container?.clientHeight || this._canvas.height || 400)
+        };
+    }
+
+    _precompute() {
+        const work = [];
+        if (this._recordsPending) {
+            work.push(this._recordsPending);
+        }
+        if (this._config.type.toLowerCase() === 'histogram') {
+            this._config.datasets.forEach(ds => {
+                const task = this._histogramTask(ds);
+                if (_offload.shouldOffload(task.values.length) && this._histograms.get(task.values)?.signature !== task.signature) {
+                    work.push(_offload.run('histogram', task.payload).then(result => {
+                        this._histograms.set(task.values, { signature: task.signature, result });
+                    }));
+                }
+            });
+        }
+        return work.length ? Promise.all(work) : null;
+    }
+
+    _histogramTask(ds) {
+        const values = Array.isArray(ds.data) || ArrayBuffer.isView(ds.data) ? ds.data : [];
+        const options = { bins: ds.bins, binEdges: ds.binEdges, normalize: ds.normalize, cumulative: ds.cumulative };
+        const kde = ds.kde && !ds.cumulative ? { bandwidth: ds.kde.bandwidth } : null;
+        return { values, payload: { values, options, kde }, signature: JSON.stringify([this._dataVersion, values.length, options, kde]) };
+    }
+
+    _histogramResult(ds) {
+        const task = this._histogramTask(ds);
+        const cached = this._histograms.get(task.values);
+        if (cached && cached.signature === task.signature) {
+            return cached.result;
+        }
+        const result = _TASKS.histogram(task.payload);
+        this._histograms.set(task.values, { signature: task.signature, result });
+        return result;
+    }
+
+    _timeAxisOptions(lowerType = this._config.type.toLowerCase()) {
+        const cfg = this._config;
+        if (!TIME_AXIS_TYPES.includes(lowerType) || cfg.timeAxis === false) {
+            return null;
+        }
+        const resampled = !!cfg.resample || cfg.datasets.some(ds => ds && ds.resample);
+        if (!cfg.timeAxis && !resampled) {
+            return null;
+        }
+        return { unit: 'auto', weekStart: 1, ...(typeof cfg.timeAxis === 'object' ? cfg.timeAxis : {}) };
+    }
+
+    _resolveTimeData(lowerType) {
+        const axis = this._timeAxisOptions(lowerType);
+        if (!axis) {
+            return null;
+        }
+        const cfg = this._config;
+        const timeZone = axis.timeZone;
+        const labels = cfg.labels.map(label => _parseTime(label, timeZone));
+        const datasets = cfg.datasets.map(ds => {
+            const spec = ds.resample !== undefined ? ds.resample : cfg.resample;
+            if (spec) {
+                return { ...ds, data: _resample(ds.data, { timeZone, weekStart: axis.weekStart, ...spec }) };
+            }
+            if (!Array.isArray(ds.data)) {
+                return ds;
+            }
+            const data = ds.data.map(point => {
+                if (Array.isArray(point)) {
+                    return { x: _parseTime(point[0], timeZone), y: point[1] };
+                }
+                if (point && typeof point === 'object' && point.x !== undefined) {
+                    return { ...point, x: _parseTime(point.x, timeZone) };
+                }
+                return point;
+            });
+            const sorted = data.every((point, i) => i === 0 || !(point?.x < data[i - 1]?.x));
+            return { ...ds, data: sorted ? data : data.slice().sort((a, b) => (a?.x ?? 0) - (b?.x ?? 0)) };
+        });
+
+        let min = Infinity;
+        let max = -Infinity;
+        const visit = value => {
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        };
+        labels.forEach(visit);
+        datasets.forEach(ds => (Array.isArray(ds.data) ? ds.data : []).forEach(point => visit(point?.x)));
+        const unit = axis.unit && axis.unit !== 'auto' ? axis.unit : (min < max ? _autoUnit(min, max) : 'day');
+        return { axis, unit, labels, datasets };
+    }
+
+    _applyTimeScale(options, time) {
+        const { axis, unit } = time;
+        options.scales.x = this._deepMerge({
+            type: 'time',
+            adapters: { date: { timeZone: axis.timeZone, locale: axis.locale ?? this._config.locale ?? undefined, weekStart: axis.weekStart } },
+            time: {
+                unit,
+                isoWeekday: axis.weekStart || false,
+                tooltipFormat: axis.tooltipFormat ?? _tooltipFormat(unit),
+                ...(axis.displayFormat ? { displayFormats: { [unit]: axis.displayFormat } } : {})
+            },
+            ticks: { source: 'auto', autoSkip: true, maxRotation: 0 }
+        }, options.scales.x ?? {});
+    }
+
     _prepareLabels(labels, lowerType, datasets) {
         if (lowerType === 'histogram') {
             return datasets[0]?.data.map(item => item.x) ?? [];
@@ -373,16 +2010,35 @@ export class _Chart {
     }
 
     _generatePalette(n, theme) {
-        const lightPalette = [
-            '#e63946', '#f1faee', '#a8dadc', '#457b9d', '#1d3557',
-            '#ffb703', '#fb8500', '#023047', '#8ecae6', '#219ebc'
-        ];
-        const darkPalette = [
-            '#ff4d4d', '#ffaa4d', '#4dff88', '#4d94ff', '#c44dff',
-            '#ff4dc4', '#4dffef', '#ffd24d', '#8aff4d', '#ff8f4d'
-        ];
-        const base = theme === 'light' ? lightPalette : darkPalette;
-        return Array.from({ length: n }, (_, i) => base[i % base.length]);
+        const palette = this._config.palette;
+        const source = (Array.isArray(palette) && palette.length) || typeof palette === 'string'
+            ? palette
+            : this._resolveThemeTokens(theme).palette;
+        return _categoricalColors(n, source);
+    }
+
+    _scaleColors(ds, lowerType) {
+        if (ds.backgroundColor !== undefined || (!ds.colorScale && lowerType !== 'heatmap')) {
+            return null;
+        }
+        const data = Array.isArray(ds.data) || ArrayBuffer.isView(ds.data) ? ds.data : [];
+        const values = Array.from(data, point => {
+            if (typeof point === 'number') return point;
+            const value = point?.v ?? point?.value ?? point?.y;
+            return typeof value === 'number' ? value : Number.NaN;
+        });
+        if (!values.some(Number.isFinite)) {
+            return null;
+        }
+        const spec = typeof ds.colorScale === 'string' ? { scheme: ds.colorScale } : (ds.colorScale ?? {});
+        const type = spec.type ?? _getPalette(spec.scheme)?.type ?? 'sequential';
+        const scale = _colorScale({ ...spec, type, domain: spec.domain ?? _valueDomain(values, type) });
+        return values.map(scale);
+    }
+
+    _resolveThemeTokens(theme = this._config.theme) {
+        const tokens = _resolveTheme(theme, this._canvas, this._config.autoTheme);
+        return this._notifyPlugins('resolveTheme', { theme, tokens }, 'tokens');
     }
 
     _deepMerge(target, source) {
@@ -405,39 +2061,41 @@ export class _Chart {
     }
 
     _mergeThemeOptions(theme, titleText, userOpts, chartType) {
-        const isLight = theme === 'light';
-        const gridColor = isLight ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
-        const tickColor = isLight ? '#333333' : '#dddddd';
-        const bgColor = isLight ? '#ffffff' : '#1e1e2f';
-        const textColor = isLight ? '#222222' : '#ffffff';
-        const axisLabelColor = isLight ? '#555555' : '#aaaaaa';
+        const tokens = this._resolveThemeTokens(theme);
+        const gridColor = tokens.grid;
+        const tickColor = tokens.tick;
+        const bgColor = tokens.background;
+        const textColor = tokens.text;
+        const axisLabelColor = tokens.axisLabel;
+        const fontFamily = tokens.font.family;
+        const fontSize = Number(tokens.font.size) || 12;
 
         const defaultOptions = {
-            responsive: true,
+            responsive: false,
             maintainAspectRatio: false,
-            animation: { duration: 700 },
+            animation: this._headless || _prefersReducedMotion() ? false : { duration: 700 },
             plugins: {
                 title: {
                     display: !!titleText,
                     text: titleText,
                     color: textColor,
-                    font: { size: 20, weight: '500', family: 'Arial, sans-serif' },
+                    font: { size: Number(tokens.font.titleSize) || 20, weight: '500', family: fontFamily },
                     padding: { top: 12, bottom: 20 }
                 },
                 legend: {
                     display: true,
                     labels: {
                         color: textColor,
-                        font: { size: 13, family: 'Arial, sans-serif' },
+                        font: { size: Number(tokens.font.legendSize) || 13, family: fontFamily },
                         ...(userOpts.legendCallbacks ?? {})
                     }
                 },
                 tooltip: {
                     enabled: true,
-                    backgroundColor: isLight ? 'rgba(255,255,255,0.9)' : 'rgba(50,50,60,0.9)',
-                    titleColor: textColor,
-                    bodyColor: textColor,
-                    borderColor: isLight ? '#ccc' : '#444',
+                    backgroundColor: tokens.tooltip.background,
+                    titleColor: tokens.tooltip.text ?? textColor,
+                    bodyColor: tokens.tooltip.text ?? textColor,
+                    borderColor: tokens.tooltip.border,
                     borderWidth: 1,
                     cornerRadius: 4,
                     displayColors: true,
@@ -450,19 +2108,29 @@ export class _Chart {
                         },
                         label: (tooltipItem) => {
                             const datasetLabel = tooltipItem.dataset.label ? `${tooltipItem.dataset.label}: ` : '';
-                            return `${datasetLabel}${tooltipItem.formattedValue}`;
+                            return `${datasetLabel}${this._formatPoint(tooltipItem.raw, tooltipItem.datasetIndex, tooltipItem.chart) ?? tooltipItem.formattedValue}`;
                         },
                         ...(userOpts.tooltipCallbacks ?? {})
                     },
-                    titleFont: { size: 14, family: 'Arial, sans-serif' },
-                    bodyFont: { size: 12, family: 'Arial, sans-serif' }
+                    titleFont: { size: fontSize + 2, family: fontFamily },
+                    bodyFont: { size: fontSize, family: fontFamily }
+                },
+                ajayAnnotations: {
+                    lineColor: axisLabelColor,
+                    bandColor: axisLabelColor,
+                    bandOpacity: 0.15,
+                    labelColor: textColor,
+                    labelBackground: _withAlpha(bgColor, 0.85),
+                    font: { size: fontSize, family: fontFamily },
+                    tooltip: { ...tokens.tooltip, text: tokens.tooltip.text ?? textColor }
                 },
                 datalabels: {
                     display: userOpts.enableDataLabels ?? (userOpts.plugins?.datalabels?.display ?? false),
                     color: userOpts.plugins?.datalabels?.color ?? textColor,
-                    font: { size: userOpts.plugins?.datalabels?.font?.size ?? 12, family: 'Arial, sans-serif' },
+                    font: { size: userOpts.plugins?.datalabels?.font?.size ?? fontSize, family: fontFamily },
                     align: userOpts.plugins?.datalabels?.align ?? 'center',
                     anchor: userOpts.plugins?.datalabels?.anchor ?? 'center',
+                    ...(this._hasFormat() ? { formatter: (value, context) => this._formatPoint(value, context.datasetIndex, context.chart) ?? (value !== null && typeof value === 'object' ? value.label ?? null : value) } : {}),
                     ...(userOpts.plugins?.datalabels ?? {})
                 }
             },
@@ -471,35 +2139,39 @@ export class _Chart {
             },
             scales: {
                 x: {
-                    ticks: { color: tickColor, font: { size: 12, family: 'Arial, sans-serif' } },
+                    ticks: { color: tickColor, font: { size: fontSize, family: fontFamily } },
                     grid: { color: gridColor, borderColor: gridColor },
                     title: {
                         display: userOpts.scales?.x?.title?.display ?? false,
                         text: userOpts.scales?.x?.title?.text ?? '',
                         color: axisLabelColor,
-                        font: { size: 14, family: 'Arial, sans-serif' }
+                        font: { size: Number(tokens.font.axisTitleSize) || 14, family: fontFamily }
                     }
                 },
                 y: {
                     beginAtZero: true,
-                    ticks: { color: tickColor, font: { size: 12, family: 'Arial, sans-serif' } },
+                    ticks: { color: tickColor, font: { size: fontSize, family: fontFamily } },
                     grid: { color: gridColor, borderColor: gridColor },
                     title: {
                         display: userOpts.scales?.y?.title?.display ?? false,
                         text: userOpts.scales?.y?.title?.text ?? '',
                         color: axisLabelColor,
-                        font: { size: 14, family: 'Arial, sans-serif' }
+                        font: { size: Number(tokens.font.axisTitleSize) || 14, family: fontFamily }
                     }
                 }
             },
             backgroundColor: bgColor,
             font: {
-                family: 'Arial, sans-serif',
-                size: 12,
+                family: fontFamily,
+                size: fontSize,
                 color: textColor
             }
         };
 
+        if (this._config.locale) {
+            defaultOptions.locale = this._config.locale;
+        }
+
         if (chartType === 'gauge') {
             defaultOptions.scales = {
                 x: { display: false },
@@ -510,59 +2182,180 @@ export class _Chart {
             defaultOptions.cutout = '80%';
             defaultOptions.circumference = 180;
             defaultOptions.rotation = -90;
-        } else if (['pie', 'doughnut', 'polararea'].includes(chartType)) {
+            defaultOptions.layout.padding.bottom = fontSize * 2 + 10;
+        } else if (['pie', 'doughnut', 'polararea', 'funnel', 'sankey'].includes(chartType)) {
             defaultOptions.scales = {};
         }
 
-        return this._deepMerge(defaultOptions, userOpts);
-    }
+        if (this._isMixed(chartType)) {
+            defaultOptions.plugins.legend.labels.sort ??= (a, b) => a.datasetIndex - b.datasetIndex;
+        }
 
-    _buildHistogramDataset(ds, defaultColor) {
-        const rawValues = Array.isArray(ds.data) ? ds.data.filter(v => typeof v === 'number' && !isNaN(v)) : [];
-        if (!rawValues.length) {
-            return { label: ds.label ?? 'Histogram', data: [], backgroundColor: defaultColor };
+        const valueAxes = this._valueAxes(chartType);
+        const [primaryAxis] = valueAxes.keys();
+        const horizontal = primaryAxis === 'x';
+        if (valueAxes.size > 1 && defaultOptions.scales[primaryAxis]) {
+            const axisTitle = datasets => datasets.map(ds => ds?.label).filter(Boolean).join(' / ');
+            const primaryTitle = defaultOptions.scales[primaryAxis].title;
+            if (userOpts.scales?.[primaryAxis]?.title?.display === undefined && axisTitle(valueAxes.get(primaryAxis))) {
+                primaryTitle.display = true;
+                primaryTitle.text = userOpts.scales?.[primaryAxis]?.title?.text ?? axisTitle(valueAxes.get(primaryAxis));
+            }
+            valueAxes.forEach((datasets, id) => {
+                if (id === primaryAxis) {
+                    return;
+                }
+                defaultOptions.scales[id] = {
+                    type: 'linear',
+                    axis: primaryAxis,
+                    position: horizontal ? 'top' : 'right',
+                    beginAtZero: true,
+                    ticks: { color: tickColor, font: { size: fontSize, family: fontFamily } },
+                    grid: { color: gridColor, borderColor: gridColor, drawOnChartArea: false },
+                    title: {
+                        display: !!axisTitle(datasets),
+                        text: axisTitle(datasets),
+                        color: axisLabelColor,
+                        font: { size: Number(tokens.font.axisTitleSize) || 14, family: fontFamily }
+                    }
+                };
+            });
         }
 
-        const minVal = Math.min(...rawValues);
-        const maxVal = Math.max(...rawValues);
-        const binCount = typeof ds.bins === 'number' && ds.bins > 0 ? ds.bins : 10;
+        if (chartType !== 'heatmap') {
+            const radial = ['radar', 'polararea'].includes(chartType);
+            valueAxes.forEach((datasets, id) => {
+                const axis = radial ? 'r' : id;
+                const spec = id === primaryAxis ? this._config.format : (datasets.find(ds => ds?.format)?.format ?? this._config.format);
+                if (!spec || (axis !== 'r' && !defaultOptions.scales[axis])) {
+                    return;
+                }
+                const format = _formatter(spec, this._config.locale ?? undefined);
+                defaultOptions.scales[axis] = this._deepMerge(defaultOptions.scales[axis] ?? {}, { ticks: { callback: value => format(value) } });
+            });
+        }
 
-        let edges = [];
-        if (Array.isArray(ds.binEdges) && ds.binEdges.length >= 2) {
-            edges = ds.binEdges.slice().sort((a, b) => a - b);
-            if (minVal < edges[0]) edges.unshift(minVal);
-            if (maxVal > edges[edges.length - 1]) edges.push(maxVal);
-        } else {
-            const binWidth = (maxVal - minVal) / binCount;
-            for (let i = 0; i <= binCount; i++) {
-                edges.push(minVal + i * binWidth);
+        if (this._isRtl()) {
+            defaultOptions.plugins.legend.rtl = true;
+            defaultOptions.plugins.tooltip.rtl = true;
+            if (!this._headless) {
+                defaultOptions.plugins.legend.textDirection = 'rtl';
+                defaultOptions.plugins.tooltip.textDirection = 'rtl';
             }
-            if (edges[edges.length - 1] < maxVal) {
-                edges[edges.length - 1] = maxVal;
+            if (chartType !== 'radar' && defaultOptions.scales.x && defaultOptions.scales.y) {
+                defaultOptions.scales.x.reverse = true;
+                defaultOptions.scales.y.position = 'right';
+                valueAxes.forEach((datasets, id) => {
+                    if (id !== primaryAxis && !horizontal) {
+                        defaultOptions.scales[id].position = 'left';
+                    }
+                });
             }
         }
 
-        const freq = new Array(edges.length - 1).fill(0);
-        rawValues.forEach(val => {
-            for (let i = 0; i < edges.length - 1; i++) {
-                if (val >= edges[i] && val < edges[i + 1]) {
-                    freq[i]++;
-                    return;
-                }
-                if (i === edges.length - 2 && val === edges[i + 1]) {
-                    freq[i]++;
+        return this._deepMerge(defaultOptions, userOpts);
+    }
+
+    _buildGaugeDataset(ds, defaultColor) {
+        const tokens = this._resolveThemeTokens();
+        const value = Number(Array.isArray(ds.data) ? ds.data[0] : 0) || 0;
+        const min = typeof ds.min === 'number' ? ds.min : 0;
+        const max = typeof ds.max === 'number' ? ds.max : (Array.isArray(ds.data) && typeof ds.data[1] === 'number' ? ds.data[1] : 100);
+
+        let data;
+        let colors;
+        if (Array.isArray(ds.thresholds) && ds.thresholds.length) {
+            const thresholds = ds.thresholds
+                .filter(t => typeof t.value === 'number' && t.value > min)
+                .sort((a, b) => a.value - b.value);
+            const bounds = [min];
+            colors = [];
+            thresholds.forEach(t => {
+                if (bounds[bounds.length - 1] < max) {
+                    bounds.push(Math.min(t.value, max));
+                    colors.push(t.color);
                 }
+            });
+            if (bounds[bounds.length - 1] < max) {
+                bounds.push(max);
+                colors.push(thresholds[thresholds.length - 1]?.color ?? defaultColor);
             }
+            data = bounds.slice(1).map((bound, i) => bound - bounds[i]);
+        } else {
+            const clamped = Math.max(min, Math.min(max, value));
+            data = [clamped - min, max - clamped];
+            colors = [defaultColor, tokens.grid];
+        }
+        const format = ds.format ?? this._config.format ?? (this._config.locale ? 'number' : null);
+        const valueText = ds.valueText !== undefined
+            ? String(ds.valueText)
+            : (format ? _formatter(format, this._config.locale ?? undefined)(_isPercent(format) && max > min ? (value - min) / (max - min) : value) : undefined);
+
+        return {
+            label: ds.label ?? 'Gauge',
+            data,
+            backgroundColor: ds.backgroundColor ?? colors,
+            borderWidth: 0,
+            circumference: typeof ds.circumference === 'number' ? ds.circumference : 180,
+            rotation: typeof ds.rotation === 'number' ? ds.rotation : -90,
+            cutout: ds.cutout ?? '80%',
+            needle: ds.needle !== false,
+            needleValue: value,
+            needleColor: ds.needleColor ?? tokens.text,
+            min,
+            max,
+            showValue: ds.showValue !== false,
+            ...(valueText !== undefined ? { valueText } : {}),
+            ...(ds.additionalProps ?? {})
+        };
+    }
+
+    _buildSankeyDataset(ds) {
+        const tokens = this._resolveThemeTokens();
+        const links = (Array.isArray(ds.data) ? ds.data : []).filter(link => link && link.from !== undefined && link.to !== undefined);
+        const names = [];
+        links.forEach(link => {
+            [link.from, link.to].forEach(name => {
+                if (!names.includes(name)) {
+                    names.push(name);
+                }
+            });
         });
+        const palette = this._generatePalette(names.length);
+        const nodeColors = {};
+        names.forEach((name, i) => {
+            nodeColors[name] = ds.colors?.[name] ?? palette[i];
+        });
+
+        return {
+            label: ds.label ?? 'Flow',
+            data: links.map(link => ({ ...link, flow: Number(link.flow) || 0 })),
+            nodeColors,
+            backgroundColor: ds.backgroundColor ?? links.map(link => _withAlpha(nodeColors[link.from], 0.45)),
+            hoverBackgroundColor: ds.hoverBackgroundColor ?? links.map(link => _withAlpha(nodeColors[link.from], 0.75)),
+            nodeWidth: typeof ds.nodeWidth === 'number' ? ds.nodeWidth : 12,
+            nodePadding: typeof ds.nodePadding === 'number' ? ds.nodePadding : 10,
+            labelColor: ds.labelColor ?? tokens.text,
+            ...(ds.additionalProps ?? {})
+        };
+    }
 
-        const dataArray = freq.map((count, i) => {
-            const label = `${edges[i].toFixed(2)} - ${edges[i + 1].toFixed(2)}`;
-            return { x: label, y: count };
+    _buildHistogramDataset(ds, defaultColor) {
+        const bins = this._histogramResult(ds);
+        const width = bins.edges.length > 1 ? Math.abs(bins.edges[1] - bins.edges[0]) : 0;
+        const decimals = bins.edges.every(Number.isInteger) || !width ? 0 : Math.max(0, Math.min(4, 1 - Math.floor(Math.log10(width))));
+        const format = _formatter(ds.binFormat ?? { style: 'number', decimals }, this._config.locale ?? undefined);
+
+        const dataArray = bins.values.map((value, i) => {
+            const label = `${format(bins.edges[i])} - ${format(bins.edges[i + 1])}`;
+            return { x: label, y: value };
         });
 
         return {
             label: ds.label ?? 'Histogram',
             data: dataArray,
+            binEdges: bins.edges,
+            binCounts: bins.counts,
             backgroundColor: ds.backgroundColor ?? defaultColor,
             borderColor: ds.borderColor ?? defaultColor,
             borderWidth: typeof ds.borderWidth === 'number' ? ds.borderWidth : 1,
@@ -571,4 +2364,30 @@ export class _Chart {
             ...(ds.additionalProps ?? {})
         };
     }
+
+    _buildKdeDataset(ds, histogram) {
+        const kde = typeof ds.kde === 'object' ? ds.kde : {};
+        const edges = histogram.binEdges;
+        const total = histogram.binCounts.reduce((sum, count) => sum + count, 0);
+        const density = this._histogramResult(ds).density ?? [];
+        const data = density.map((value, i) => {
+            const width = edges[i + 1] - edges[i];
+            if (ds.normalize === 'density') return value;
+            if (ds.normalize === 'percent') return value * width * 100;
+            return value * width * total;
+        });
+
+        return {
+            type: 'line',
+            label: kde.label ?? `${histogram.label} (KDE)`,
+            data,
+            borderColor: kde.color ?? this._resolveThemeTokens().text,
+            backgroundColor: 'transparent',
+            borderWidth: typeof kde.borderWidth === 'number' ? kde.borderWidth : 2,
+            pointRadius: 0,
+            tension: 0.4,
+            fill: false,
+            order: -1
+        };
+    }
 }
@@ -0,0 +1,546 @@
+import { _loader } from './loader.js';
+
+const _registered = new WeakSet();
+
+export const BUILT_IN_CONTROLLERS = {
+    heatmap: ['matrix', 'ajayHeatmap'],
+    funnel: ['funnel', 'ajayFunnel'],
+    sankey: ['sankey', 'ajaySankey']
+};
+
+export function _hasController(ChartJS, id) {
+    const controllers = ChartJS.registry?.controllers;
+    if (!controllers || typeof controllers.get !== 'function') {
+        return true;
+    }
+    return !!controllers.get(id);
+}
+
+export function _controllerFor(ChartJS, lowerType) {
+    const candidates = BUILT_IN_CONTROLLERS[lowerType];
+    if (!candidates) {
+        return null;
+    }
+    return candidates.find(id => _hasController(ChartJS, id)) ?? candidates[candidates.length - 1];
+}
+
+function _sankeyLayout(links, area, options) {
+    const nodes = new Map();
+    const node = name => {
+        if (!nodes.has(name)) {
+            nodes.set(name, { name, incoming: [], outgoing: [], column: 0, value: 0 });
+        }
+        return nodes.get(name);
+    };
+    links.forEach((link, index) => {
+        if (!link || !(link.flow > 0)) {
+            return;
+        }
+        const entry = { ...link, index };
+        node(link.from).outgoing.push(entry);
+        node(link.to).incoming.push(entry);
+    });
+
+    const list = Array.from(nodes.values());
+    for (let pass = 0; pass < list.length; pass++) {
+        let changed = false;
+        list.forEach(n => {
+            n.outgoing.forEach(link => {
+                const target = nodes.get(link.to);
+                if (target !== n && target.column < n.column + 1) {
+                    target.column = n.column + 1;
+                    changed = true;
+                }
+            });
+        });
+        if (!changed) {
+            break;
+        }
+    }
+    const lastColumn = list.reduce((max, n) => Math.max(max, n.column), 0);
+    list.forEach(n => {
+        if (!n.outgoing.length) {
+            n.column = lastColumn;
+        }
+        const inFlow = n.incoming.reduce((sum, link) => sum + link.flow, 0);
+        const outFlow = n.outgoing.reduce((sum, link) => sum + link.flow, 0);
+        n.value = Math.max(inFlow, outFlow);
+    });
+
+    const columns = [];
+    list.forEach(n => {
+        (columns[n.column] = columns[n.column] ?? []).push(n);
+    });
+    const height = area.bottom - area.top;
+    const scale = columns.reduce((min, column) => {
+        if (!column) return min;
+        const total = column.reduce((sum, n) => sum + n.value, 0);
+        const available = height - options.nodePadding * (column.length - 1);
+        return total > 0 ? Math.min(min, Math.max(0, available) / total) : min;
+    }, Infinity);
+    const k = Number.isFinite(scale) ? scale : 0;
+    const step = lastColumn > 0 ? (area.right - area.left - options.nodeWidth) / lastColumn : 0;
+
+    columns.forEach(column => {
+        if (!column) return;
+        const used = column.reduce((sum, n) => sum + n.value * k, 0) + options.nodePadding * (column.length - 1);
+        let y = area.top + Math.max(0, (height - used) / 2);
+        column.forEach(n => {
+            n.x = area.left + n.column * step;
+            n.y = y;
+            n.height = n.value * k;
+            y += n.height + options.nodePadding;
+        });
+    });
+
+    const bands = new Map();
+    list.forEach(n => {
+        let offset = 0;
+        n.outgoing.slice().sort((a, b) => nodes.get(a.to).y - nodes.get(b.to).y).forEach(link => {
+            bands.set(link.index, { ...(bands.get(link.index) ?? {}), y0: n.y + offset, x: n.x + options.nodeWidth });
+            offset += link.flow * k;
+        });
+        offset = 0;
+        n.incoming.slice().sort((a, b) => nodes.get(a.from).y - nodes.get(b.from).y).forEach(link => {
+            bands.set(link.index, { ...(bands.get(link.index) ?? {}), y1: n.y + offset, x2: n.x, height: link.flow * k });
+            offset += link.flow * k;
+        });
+    });
+
+    return { nodes: list, bands, lastColumn };
+}
+
+export function _registerBuiltInControllers(ChartJS) {
+    if (_registered.has(ChartJS) || typeof ChartJS.register !== 'function') {
+        return;
+    }
+    const DatasetController = _loader.getExport('DatasetController');
+    const Element = _loader.getExport('Element');
+    if (!DatasetController || !Element) {
+        return;
+    }
+    _registered.add(ChartJS);
+
+    class CellElement extends Element {
+        constructor(cfg) {
+            super();
+            this.options = undefined;
+            this.width = undefined;
+            this.height = undefined;
+            if (cfg) {
+                Object.assign(this, cfg);
+            }
+        }
+
+        draw(ctx) {
+            const { x, y, width, height, options } = this;
+            ctx.save();
+            ctx.fillStyle = options.backgroundColor;
+            ctx.fillRect(x - width / 2, y - height / 2, width, height);
+            if (options.borderWidth) {
+                ctx.lineWidth = options.borderWidth;
+                ctx.strokeStyle = options.borderColor;
+                ctx.strokeRect(x - width / 2, y - height / 2, width, height);
+            }
+            ctx.restore();
+        }
+
+        inRange(mouseX, mouseY, useFinalPosition) {
+            return this.inXRange(mouseX, useFinalPosition) && this.inYRange(mouseY, useFinalPosition);
+        }
+
+        inXRange(mouseX, useFinalPosition) {
+            const { x, width } = this.getProps(['x', 'width'], useFinalPosition);
+            return mouseX >= x - width / 2 && mouseX <= x + width / 2;
+        }
+
+        inYRange(mouseY, useFinalPosition) {
+            const { y, height } = this.getProps(['y', 'height'], useFinalPosition);
+            return mouseY >= y - height / 2 && mouseY <= y + height / 2;
+        }
+
+        getCenterPoint(useFinalPosition) {
+            const { x, y } = this.getProps(['x', 'y'], useFinalPosition);
+            return { x, y };
+        }
+
+        tooltipPosition(useFinalPosition) {
+            return this.getCenterPoint(useFinalPosition);
+        }
+    }
+    CellElement.id = 'ajayCell';
+    CellElement.defaults = { borderWidth: 0 };
+    CellElement.defaultRoutes = { backgroundColor: 'backgroundColor', borderColor: 'borderColor' };
+
+    class HeatmapController extends DatasetController {
+        update(mode) {
+            const meta = this._cachedMeta;
+            this.updateElements(meta.data, 0, meta.data.length, mode);
+        }
+
+        updateElements(cells, start, count, mode) {
+            const { xScale, yScale } = this._cachedMeta;
+            const gap = this.getDataset().gap ?? 1;
+            const width = Math.max(0, Math.abs(xScale.getPixelForValue(1) - xScale.getPixelForValue(0)) - gap);
+            const height = Math.max(0, Math.abs(yScale.getPixelForValue(1) - yScale.getPixelForValue(0)) - gap);
+            for (let i = start; i < start + count; i++) {
+                const parsed = this.getParsed(i);
+                const reset = mode === 'reset';
+                this.updateElement(cells[i], i, {
+                    x: xScale.getPixelForValue(parsed.x),
+                    y: yScale.getPixelForValue(parsed.y),
+                    width: reset ? 0 : width,
+                    height: reset ? 0 : height,
+                    options: this.resolveDataElementOptions(i, cells[i].active ? 'active' : mode)
+                }, mode);
+            }
+        }
+
+        getLabelAndValue(index) {
+            const { xScale, yScale } = this._cachedMeta;
+            const parsed = this.getParsed(index);
+            const raw = this.getDataset().data[index];
+            return {
+                label: `${xScale.getLabelForValue(parsed.x)}, ${yScale.getLabelForValue(parsed.y)}`,
+                value: raw?.v ?? raw?.value ?? ''
+            };
+        }
+    }
+    HeatmapController.id = 'ajayHeatmap';
+    HeatmapController.defaults = {
+        dataElementType: 'ajayCell',
+        animations: { numbers: { type: 'number', properties: ['x', 'y', 'width', 'height'] } }
+    };
+    HeatmapController.overrides = {
+        interaction: { mode: 'nearest', intersect: true },
+        plugins: { legend: { display: false } },
+        scales: {
+            x: { type: 'category', offset: true, grid: { display: false } },
+            y: { type: 'category', offset: true, grid: { display: false } }
+        }
+    };
+
+    class TrapezoidElement extends Element {
+        constructor(cfg) {
+            super();
+            this.options = undefined;
+            this.width = undefined;
+            this.bottomWidth = undefined;
+            this.height = undefined;
+            if (cfg) {
+                Object.assign(this, cfg);
+            }
+        }
+
+        draw(ctx) {
+            const { x, y, width, bottomWidth, height, options } = this;
+            ctx.save();
+            ctx.beginPath();
+            ctx.moveTo(x - width / 2, y);
+            ctx.lineTo(x + width / 2, y);
+            ctx.lineTo(x + bottomWidth / 2, y + height);
+            ctx.lineTo(x - bottomWidth / 2, y + height);
+            ctx.closePath();
+            ctx.fillStyle = options.backgroundColor;
+            ctx.fill();
+            if (options.borderWidth) {
+                ctx.lineWidth = options.borderWidth;
+                ctx.strokeStyle = options.borderColor;
+                ctx.stroke();
+            }
+            ctx.restore();
+        }
+
+        inRange(mouseX, mouseY, useFinalPosition) {
+            const { x, y, width, bottomWidth, height } = this.getProps(['x', 'y', 'width', 'bottomWidth', 'height'], useFinalPosition);
+            if (mouseY < y || mouseY > y + height) {
+                return false;
+            }
+            const half = (width + (bottomWidth - width) * ((mouseY - y) / (height || 1))) / 2;
+            return Math.abs(mouseX - x) <= half;
+        }
+
+        inXRange(mouseX, useFinalPosition) {
+            const { x, width, bottomWidth } = this.getProps(['x', 'width', 'bottomWidth'], useFinalPosition);
+            return Math.abs(mouseX - x) <= Math.max(width, bottomWidth) / 2;
+        }
+
+        inYRange(mouseY, useFinalPosition) {
+            const { y, height } = this.getProps(['y', 'height'], useFinalPosition);
+            return mouseY >= y && mouseY <= y + height;
+        }
+
+        getCenterPoint(useFinalPosition) {
+            const { x, y, height } = this.getProps(['x', 'y', 'height'], useFinalPosition);
+            return { x, y: y + height / 2 };
+        }
+
+        tooltipPosition(useFinalPosition) {
+            return this.getCenterPoint(useFinalPosition);
+        }
+    }
+    TrapezoidElement.id = 'ajayTrapezoid';
+    TrapezoidElement.defaults = { borderWidth: 0 };
+    TrapezoidElement.defaultRoutes = { backgroundColor: 'backgroundColor', borderColor: 'borderColor' };
+
+    const pieLegend = ChartJS.overrides?.doughnut?.plugins?.legend;
+
+    class FunnelController extends DatasetController {
+        linkScales() {}
+
+        parse(start, count) {
+            const data = this.getDataset().data;
+            const meta = this._cachedMeta;
+            for (let i = start; i < start + count; i++) {
+                const value = data[i];
+                meta._parsed[i] = Math.max(0, +(typeof value === 'object' && value !== null ? value.value : value) || 0);
+            }
+        }
+
+        update(mode) {
+            const meta = this._cachedMeta;
+            this.updateElements(meta.data, 0, meta.data.length, mode);
+        }
+
+        updateElements(stages, start, count, mode) {
+            const area = this.chart.chartArea;
+            const dataset = this.getDataset();
+            const gap = dataset.gap ?? 2;
+            const minWidth = dataset.minWidth ?? 0.1;
+            const meta = this._cachedMeta;
+            const visible = meta._parsed.map((value, i) => this.chart.getDataVisibility(i));
+            const shown = visible.filter(Boolean).length || 1;
+            const max = meta._parsed.reduce((m, value, i) => (visible[i] ? Math.max(m, value) : m), 0) || 1;
+            const areaWidth = area.right - area.left;
+            const stageHeight = Math.max(0, (area.bottom - area.top - gap * (shown - 1)) / shown);
+            const widthFor = value => areaWidth * Math.max(minWidth, value / max);
+            const centerX = (area.left + area.right) / 2;
+
+            let row = 0;
+            const rows = meta._parsed.map((value, i) => (visible[i] ? row++ : -1));
+            const nextVisible = i => {
+                for (let j = i + 1; j < meta._parsed.length; j++) {
+                    if (visible[j]) return j;
+                }
+                return -1;
+            };
+
+            for (let i = start; i < start + count; i++) {
+                const next = nextVisible(i);
+                const width = visible[i] ? widthFor(meta._parsed[i]) : 0;
+                const reset = mode === 'reset';
+                this.updateElement(stages[i], i, {
+                    x: centerX,
+                    y: area.top + Math.max(0, rows[i]) * (stageHeight + gap),
+                    width: reset ? 0 : width,
+                    bottomWidth: reset || !visible[i] ? 0 : (next >= 0 && dataset.shrink !== false ? widthFor(meta._parsed[next]) : width),
+                    height: visible[i] ? stageHeight : 0,
+                    options: this.resolveDataElementOptions(i, stages[i].active ? 'active' : mode)
+                }, mode);
+            }
+        }
+
+        getLabelAndValue(index) {
+            return {
+                label: this.chart.data.labels?.[index] ?? '',
+                value: String(this._cachedMeta._parsed[index])
+            };
+        }
+    }
+    FunnelController.id = 'ajayFunnel';
+    FunnelController.defaults = {
+        dataElementType: 'ajayTrapezoid',
+        animations: { numbers: { type: 'number', properties: ['x', 'y', 'width', 'bottomWidth', 'height'] } }
+    };
+    FunnelController.overrides = {
+        interaction: { mode: 'nearest', intersect: true },
+        scales: {},
+        ...(pieLegend ? { plugins: { legend: pieLegend } } : {})
+    };
+
+    class FlowElement extends Element {
+        constructor(cfg) {
+            super();
+            this.options = undefined;
+            this.x2 = undefined;
+            this.y0 = undefined;
+            this.y1 = undefined;
+            this.height = undefined;
+            if (cfg) {
+                Object.assign(this, cfg);
+            }
+        }
+
+        draw(ctx) {
+            const { x, x2, y0, y1, height, options } = this;
+            const mid = (x + x2) / 2;
+            ctx.save();
+            ctx.beginPath();
+            ctx.moveTo(x, y0);
+            ctx.bezierCurveTo(mid, y0, mid, y1, x2, y1);
+            ctx.lineTo(x2, y1 + height);
+            ctx.bezierCurveTo(mid, y1 + height, mid, y0 + height, x, y0 + height);
+            ctx.closePath();
+            ctx.fillStyle = options.backgroundColor;
+            ctx.fill();
+            ctx.restore();
+        }
+
+        inRange(mouseX, mouseY, useFinalPosition) {
+            const { x, x2, y0, y1, height } = this.getProps(['x', 'x2', 'y0', 'y1', 'height'], useFinalPosition);
+            if (mouseX < x || mouseX > x2) {
+                return false;
+            }
+            const t = (mouseX - x) / ((x2 - x) || 1);
+            const top = y0 + (y1 - y0) * (3 * t * t - 2 * t * t * t);
+            return mouseY >= top && mouseY <= top + Math.max(height, 2);
+        }
+
+        inXRange(mouseX, useFinalPosition) {
+            const { x, x2 } = this.getProps(['x', 'x2'], useFinalPosition);
+            return mouseX >= x && mouseX <= x2;
+        }
+
+        inYRange(mouseY, useFinalPosition) {
+            const { y0, y1, height } = this.getProps(['y0', 'y1', 'height'], useFinalPosition);
+            return mouseY >= Math.min(y0, y1) && mouseY <= Math.max(y0, y1) + height;
+        }
+
+        getCenterPoint(useFinalPosition) {
+            const { x, x2, y0, y1, height } = this.getProps(['x', 'x2', 'y0', 'y1', 'height'], useFinalPosition);
+            return { x: (x + x2) / 2, y: (y0 + y1 + height) / 2 };
+        }
+
+        tooltipPosition(useFinalPosition) {
+            return this.getCenterPoint(useFinalPosition);
+        }
+    }
+    FlowElement.id = 'ajayFlow';
+    FlowElement.defaults = {};
+    FlowElement.defaultRoutes = { backgroundColor: 'backgroundColor' };
+
+    class SankeyController extends DatasetController {
+        linkScales() {}
+
+        parse(start, count) {
+            const data = this.getDataset().data;
+            const meta = this._cachedMeta;
+            for (let i = start; i < start + count; i++) {
+                meta._parsed[i] = data[i];
+            }
+        }
+
+        update(mode) {
+            const dataset = this.getDataset();
+            const area = this.chart.chartArea;
+            const nodeWidth = dataset.nodeWidth ?? 12;
+            this._layout = _sankeyLayout(dataset.data, area, {
+                nodeWidth,
+                nodePadding: dataset.nodePadding ?? 10
+            });
+            const meta = this._cachedMeta;
+            this.updateElements(meta.data, 0, meta.data.length, mode);
+        }
+
+        updateElements(flows, start, count, mode) {
+            for (let i = start; i < start + count; i++) {
+                const band = this._layout.bands.get(i) ?? { x: 0, x2: 0, y0: 0, y1: 0, height: 0 };
+                this.updateElement(flows[i], i, {
+                    x: band.x,
+                    x2: band.x2,
+                    y0: band.y0,
+                    y1: band.y1,
+                    height: mode === 'reset' ? 0 : band.height,
+                    options: this.resolveDataElementOptions(i, flows[i].active ? 'active' : mode)
+                }, mode);
+            }
+        }
+
+        draw() {
+            super.draw();
+            const layout = this._layout;
+            if (!layout) {
+                return;
+            }
+            const ctx = this._ctx;
+            const dataset = this.getDataset();
+            const nodeWidth = dataset.nodeWidth ?? 12;
+            const colors = dataset.nodeColors ?? {};
+            const font = this.chart.options.font ?? {};
+            ctx.save();
+            ctx.font = `${font.size ?? 12}px ${font.family ?? 'sans-serif'}`;
+            ctx.textBaseline = 'middle';
+            layout.nodes.forEach(n => {
+                ctx.fillStyle = colors[n.name] ?? '#888888';
+                ctx.fillRect(n.x, n.y, nodeWidth, Math.max(n.height, 1));
+                const last = layout.lastColumn > 0 && n.column === layout.lastColumn;
+                ctx.textAlign = last ? 'right' : 'left';
+                ctx.fillStyle = dataset.labelColor ?? this.chart.options.color ?? '#666666';
+                ctx.fillText(String(n.name), last ? n.x - 6 : n.x + nodeWidth + 6, n.y + n.height / 2);
+            });
+            ctx.restore();
+        }
+
+        getLabelAndValue(index) {
+            const link = this.getDataset().data[index] ?? {};
+            return { label: `${link.from} → ${link.to}`, value: String(link.flow ?? '') };
+        }
+    }
+    SankeyController.id = 'ajaySankey';
+    SankeyController.defaults = {
+        dataElementType: 'ajayFlow',
+        animations: { numbers: { type: 'number', properties: ['x', 'x2', 'y0', 'y1', 'height'] } }
+    };
+    SankeyController.overrides = {
+        interaction: { mode: 'nearest', intersect: true },
+        plugins: { legend: { display: false } },
+        scales: {}
+    };
+
+    ChartJS.register(
+        CellElement, HeatmapController,
+        TrapezoidElement, FunnelController,
+        FlowElement, SankeyController
+    );
+}
+
+export const _gaugePlugin = {
+    id: 'ajayGauge',
+    afterDatasetsDraw(chart) {
+        const dataset = chart.data.datasets[0];
+        const arc = chart.getDatasetMeta(0)?.data?.[0];
+        if (!dataset || !arc || dataset.needle === false) {
+            return;
+        }
+        const { x, y, outerRadius, innerRadius } = arc.getProps(['x', 'y', 'outerRadius', 'innerRadius'], true);
+        const min = dataset.min ?? 0;
+        const max = dataset.max ?? 100;
+        const ratio = Math.max(0, Math.min(1, (dataset.needleValue - min) / ((max - min) || 1)));
+        const rotation = ((dataset.rotation ?? -90) * Math.PI) / 180 - Math.PI / 2;
+        const angle = rotation + ratio * ((dataset.circumference ?? 180) * Math.PI) / 180;
+        const length = innerRadius + (outerRadius - innerRadius) / 2;
+        const color = dataset.needleColor ?? '#666666';
+        const font = chart.options.font ?? {};
+
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.fill();
+        if (dataset.showValue !== false) {
+            ctx.font = `600 ${Math.round(Math.max(12, innerRadius / 4))}px ${font.family ?? 'sans-serif'}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(dataset.valueText ?? String(dataset.needleValue), x, y + 10);
+        }
+        ctx.restore();
+    }
+};
@@ -0,0 +1,286 @@
+import { _Chart } from './charts.js';
+import { _FilterBreadcrumb, _FilterState } from './filters.js';
+import { _themeMode } from './themes.js';
+import { _toPlain } from './state.js';
+
+const CHART_KEYS = ['palette', 'options', 'onClick', 'onHover', 'enableDataLabels', 'tooltipCallbacks', 'legendCallbacks', 'maxPoints', 'drilldown', 'locale', 'format', 'rtl', 'lazy', 'plugins', 'pluginOptions'];
+
+export function _fetchSource(src) {
+    return fetch(src).then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed to load chart data from ${src}: ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    });
+}
+
+export class _Dashboard {
+    constructor(container, spec = {}) {
+        if (!container || typeof container.appendChild !== 'function') {
+            throw new Error('`Dashboard` requires a container element.');
+        }
+        this._container = container;
+        this._theme = typeof spec.theme === 'string' ? spec.theme : 'dark';
+        this._locale = typeof spec.locale === 'string' && spec.locale ? spec.locale : null;
+        this._lazy = spec.lazy === true || (typeof spec.lazy === 'object' && spec.lazy) ? spec.lazy : false;
+        this._layout = {
+            columns: typeof spec.columns === 'number' && spec.columns > 0 ? spec.columns : 2,
+            rowHeight: typeof spec.rowHeight === 'number' ? spec.rowHeight : 350,
+            gap: typeof spec.gap === 'number' ? spec.gap : 16,
+            cellClass: typeof spec.cellClass === 'string' ? spec.cellClass : ''
+        };
+        this._records = spec.records !== undefined ? _Chart.parseRecords(spec.records) : null;
+        this._entries = [];
+        this._rendered = false;
+        this._idCounter = 0;
+
+        this._filters = null;
+        this._breadcrumb = null;
+        this._ownsBreadcrumbElement = false;
+        if (spec.crossFilter) {
+            this._setupCrossFilter(spec.crossFilter);
+        }
+
+        this._container.classList.add('ajay-dashboard');
+        this._applyGridStyle();
+
+        (Array.isArray(spec.charts) ? spec.charts : []).forEach(def => this._createEntry(def));
+    }
+
+    get charts() {
+        return this._entries.map(entry => entry.chart);
+    }
+
+    get theme() {
+        return this._theme;
+    }
+
+    get locale() {
+        return this._locale;
+    }
+
+    get filters() {
+        return this._filters;
+    }
+
+    render() {
+        this._rendered = true;
+        return Promise.all(this._entries.map(entry => this._renderEntry(entry).catch(error => {
+            console.error(`Chart '${entry.id}' of the dashboard failed to render: ${error.message}`);
+        }))).then(() => this);
+    }
+
+    getChart(id) {
+        return this._findEntry(id)?.chart ?? null;
+    }
+
+    addChart(def, index = this._entries.length) {
+        const entry = this._createEntry(def, index);
+        return this._rendered ? this._renderEntry(entry).then(() => entry.chart) : Promise.resolve(entry.chart);
+    }
+
+    removeChart(id) {
+        const entry = this._findEntry(id);
+        if (!entry) {
+            return false;
+        }
+        entry.chart.destroy();
+        entry.cell.remove();
+        this._entries.splice(this._entries.indexOf(entry), 1);
+        return true;
+    }
+
+    moveChart(id, index) {
+        const entry = this._findEntry(id);
+        if (!entry) {
+            return false;
+        }
+        this._entries.splice(this._entries.indexOf(entry), 1);
+        const target = Math.max(0, Math.min(index, this._entries.length));
+        this._entries.splice(target, 0, entry);
+        this._container.insertBefore(entry.cell, this._entries[target + 1]?.cell ?? null);
+        return true;
+    }
+
+    reorder(ids) {
+        const order = ids.map(id => this._findEntry(id)).filter(Boolean);
+        const rest = this._entries.filter(entry => !order.includes(entry));
+        this._entries = order.concat(rest);
+        this._entries.forEach(entry => this._container.appendChild(entry.cell));
+    }
+
+    toggleTheme() {
+        return this.setTheme(_themeMode(this._theme) === 'dark' ? 'light' : 'dark');
+    }
+
+    setTheme(theme) {
+        this._theme = theme;
+        return Promise.all(this._entries.map(entry => entry.chart.setTheme(theme))).then(() => this);
+    }
+
+    setLocale(locale) {
+        this._locale = locale || null;
+        return Promise.all(
+            this._entries
+                .filter(entry => entry.def.locale === undefined)
+                .map(entry => entry.chart.setLocale(this._locale))
+        ).then(() => this);
+    }
+
+    setRecords(records) {
+        this._records = _Chart.parseRecords(records);
+        return Promise.all(
+            this._entries
+                .filter(entry => this._usesSharedRecords(entry.def))
+                .map(entry => entry.chart.setRecords(this._records))
+        ).then(() => this);
+    }
+
+    toJSON() {
+        return {
+            theme: this._theme,
+            ...(this._locale ? { locale: this._locale } : {}),
+            ...(this._lazy ? { lazy: _toPlain(this._lazy) } : {}),
+            columns: this._layout.columns,
+            rowHeight: this._layout.rowHeight,
+            gap: this._layout.gap,
+            ...(this._layout.cellClass ? { cellClass: this._layout.cellClass } : {}),
+            ...(this._filters ? { crossFilter: true } : {}),
+            charts: this._entries.map(entry => _toPlain({ ...entry.def, plugins: undefined }))
+        };
+    }
+
+    destroy() {
+        this._entries.forEach(entry => {
+            entry.chart.destroy();
+            entry.cell.remove();
+        });
+        this._entries = [];
+        this._rendered = false;
+        if (this._breadcrumb) {
+            this._breadcrumb.destroy();
+            if (this._ownsBreadcrumbElement) {
+                this._breadcrumb._container.remove();
+            }
+            this._breadcrumb = null;
+        }
+        this._container.classList.remove('ajay-dashboard');
+        ['display', 'gridTemplateColumns', 'gridAutoRows', 'gap'].forEach(prop => {
+            this._container.style[prop] = '';
+        });
+    }
+
+    _findEntry(id) {
+        return this._entries.find(entry => entry.id === id) ?? null;
+    }
+
+    _usesSharedRecords(def) {
+        return this._records !== null && def.aggregate && def.records === undefined && !def.src && !def.data;
+    }
+
+    _setupCrossFilter(options) {
+        this._filters = new _FilterState();
+        const breadcrumb = typeof options === 'object' ? options.breadcrumb : undefined;
+        if (breadcrumb === false) {
+            return;
+        }
+        let element = breadcrumb;
+        if (!element) {
+            element = document.createElement('div');
+            this._ownsBreadcrumbElement = true;
+            if (this._container.parentNode) {
+                this._container.parentNode.insertBefore(element, this._container);
+            }
+        }
+        this._breadcrumb = new _FilterBreadcrumb(element, this._filters);
+    }
+
+    _applyGridStyle() {
+        const style = this._container.style;
+        style.display = 'grid';
+        style.gridTemplateColumns = `repeat(${this._layout.columns}, minmax(0, 1fr))`;
+        style.gridAutoRows = `${this._layout.rowHeight}px`;
+        style.gap = `${this._layout.gap}px`;
+    }
+
+    _applyCellStyle(entry) {
+        const span = entry.def.span ?? {};
+        const cols = Math.min(typeof span.cols === 'number' ? span.cols : 1, this._layout.columns);
+        const rows = typeof span.rows === 'number' ? span.rows : 1;
+        entry.cell.style.gridColumn = `span ${cols}`;
+        entry.cell.style.gridRow = `span ${rows}`;
+    }
+
+    _createEntry(def, index = this._entries.length) {
+        const id = def.id ?? `chart-${++this._idCounter}`;
+        if (this._findEntry(id)) {
+            throw new Error(`Dashboard already contains a chart with id '${id}'.`);
+        }
+        const storedDef = { ...def, id };
+
+        const cell = document.createElement('div');
+        cell.className = ['ajay-dashboard-cell', this._layout.cellClass].filter(Boolean).join(' ');
+        cell.style.position = 'relative';
+        cell.style.minWidth = '0';
+        cell.dataset.chartId = id;
+        const canvas = document.createElement('canvas');
+        cell.appendChild(canvas);
+
+        const chartConfig = {
+            type: storedDef.type ?? 'bar',
+            titleText: storedDef.title ?? '',
+            theme: this._theme,
+            ...(this._locale ? { locale: this._locale } : {}),
+            ...(this._lazy ? { lazy: this._lazy } : {}),
+            ariaLabel: storedDef.ariaLabel ?? storedDef.title ?? '',
+            labels: storedDef.data?.labels ?? [],
+            datasets: storedDef.data?.datasets ?? []
+        };
+        CHART_KEYS.forEach(key => {
+            if (storedDef[key] !== undefined) {
+                chartConfig[key] = storedDef[key];
+            }
+        });
+        if (storedDef.records !== undefined) {
+            chartConfig.records = storedDef.records;
+            chartConfig.aggregate = storedDef.aggregate ?? {};
+        } else if (this._usesSharedRecords(storedDef)) {
+            chartConfig.records = this._records;
+            chartConfig.aggregate = storedDef.aggregate;
+        }
+
+        const entry = { id, def: storedDef, cell, canvas, chart: new _Chart(canvas, chartConfig), loaded: false };
+        if (this._filters && storedDef.crossFilter !== false && (chartConfig.records !== undefined || storedDef.src)) {
+            entry.chart.connectFilter(this._filters, {
+                field: storedDef.filterField,
+                label: storedDef.filterLabel ?? storedDef.filterField
+            });
+        }
+        this._applyCellStyle(entry);
+
+        const target = Math.max(0, Math.min(index, this._entries.length));
+        this._container.insertBefore(cell, this._entries[target]?.cell ?? null);
+        this._entries.splice(target, 0, entry);
+        return entry;
+    }
+
+    _renderEntry(entry) {
+        const { def, chart } = entry;
+        if (!def.src || entry.loaded) {
+            return chart.Render();
+        }
+        return _fetchSource(def.src).then(text => {
+            if (def.aggregate) {
+                return chart.fromRecords(text, def.aggregate);
+            }
+            const parsed = JSON.parse(text);
+            return chart.transaction(() => {
+                chart.updateLabels(Array.isArray(parsed.labels) ? parsed.labels : []);
+                (Array.isArray(parsed.datasets) ? parsed.datasets : []).forEach(ds => chart.addDataset(ds));
+            });
+        }).then(result => {
+            entry.loaded = true;
+            return result;
+        });
+    }
+}
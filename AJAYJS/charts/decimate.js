@@ -0,0 +1,193 @@
+const LINE_TYPES = ['line', 'area'];
+
+export const DECIMATION_DEFAULTS = { threshold: 5000, samples: null };
+
+function _isPrimitiveData(data) {
+    if (ArrayBuffer.isView(data)) {
+        return true;
+    }
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] !== null && data[i] !== undefined) {
+            return typeof data[i] !== 'object';
+        }
+    }
+    return true;
+}
+
+function _toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return Number.NaN;
+    }
+    return typeof value === 'number' ? value : Number(value);
+}
+
+export function _lttb(xs, ys, samples) {
+    const count = xs.length;
+    if (samples >= count || samples < 3) {
+        return Array.from({ length: count }, (v, i) => i);
+    }
+    const out = [0];
+    const bucketSize = (count - 2) / (samples - 2);
+    let a = 0;
+    for (let i = 0; i < samples - 2; i++) {
+        const avgStart = Math.floor((i + 1) * bucketSize) + 1;
+        const avgEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, count);
+        let avgX = 0;
+        let avgY = 0;
+        for (let j = avgStart; j < avgEnd; j++) {
+            avgX += xs[j];
+            avgY += ys[j];
+        }
+        avgX /= avgEnd - avgStart;
+        avgY /= avgEnd - avgStart;
+
+        const rangeStart = Math.floor(i * bucketSize) + 1;
+        const rangeEnd = Math.floor((i + 1) * bucketSize) + 1;
+        const ax = xs[a];
+        const ay = ys[a];
+        let maxArea = -1;
+        let next = rangeStart;
+        for (let j = rangeStart; j < rangeEnd; j++) {
+            const area = Math.abs((ax - avgX) * (ys[j] - ay) - (ax - xs[j]) * (avgY - ay));
+            if (area > maxArea) {
+                maxArea = area;
+                next = j;
+            }
+        }
+        out.push(next);
+        a = next;
+    }
+    out.push(count - 1);
+    return out;
+}
+
+export function _pixelBin(xs, ys, width, height) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < xs.length; i++) {
+        if (xs[i] < minX) minX = xs[i];
+        if (xs[i] > maxX) maxX = xs[i];
+        if (ys[i] < minY) minY = ys[i];
+        if (ys[i] > maxY) maxY = ys[i];
+    }
+    const columns = Math.max(1, Math.floor(width));
+    const rows = Math.max(1, Math.floor(height));
+    const scaleX = maxX > minX ? (columns - 1) / (maxX - minX) : 0;
+    const scaleY = maxY > minY ? (rows - 1) / (maxY - minY) : 0;
+    const occupied = new Uint8Array(columns * rows);
+    const out = [];
+    for (let i = 0; i < xs.length; i++) {
+        const cell = Math.round((ys[i] - minY) * scaleY) * columns + Math.round((xs[i] - minX) * scaleX);
+        if (!occupied[cell]) {
+            occupied[cell] = 1;
+            out.push(i);
+        }
+    }
+    return out;
+}
+
+function _sampleSeries(getX, getY, length, samples) {
+    const positions = [];
+    const gaps = [];
+    for (let i = 0; i < length; i++) {
+        const y = getY(i);
+        if (Number.isFinite(y) && Number.isFinite(getX(i))) {
+            positions.push(i);
+        } else if (!positions.length || positions[positions.length - 1] === i - 1) {
+            gaps.push(i);
+        }
+    }
+    const xs = Float64Array.from(positions, getX);
+    const ys = Float64Array.from(positions, getY);
+    const picked = _lttb(xs, ys, samples).map(k => positions[k]);
+    return gaps.length ? picked.concat(gaps).sort((a, b) => a - b) : picked;
+}
+
+function _pick(ds, indices) {
+    const length = ds.data.length;
+    const out = { ...ds };
+    Object.keys(ds).forEach(key => {
+        const value = ds[key];
+        if ((Array.isArray(value) || ArrayBuffer.isView(value)) && value.length === length) {
+            out[key] = indices.map(i => value[i]);
+        }
+    });
+    return out;
+}
+
+export function _decimate(labels, datasets, type, options) {
+    const threshold = options.threshold ?? DECIMATION_DEFAULTS.threshold;
+    const samples = Math.max(3, Math.round(options.samples ?? options.width));
+    const isLine = LINE_TYPES.includes(type);
+    if (!isLine && type !== 'scatter') {
+        return null;
+    }
+    let decimated = false;
+    let shared = null;
+
+    const labelX = labels.length && labels.every(label => typeof label === 'number') ? i => labels[i] : i => i;
+    if (isLine && labels.length > threshold) {
+        const mask = new Uint8Array(labels.length);
+        datasets.forEach(ds => {
+            if (ds.data.length === labels.length && _isPrimitiveData(ds.data)) {
+                _sampleSeries(labelX, i => _toNumber(ds.data[i]), labels.length, samples).forEach(i => {
+                    mask[i] = 1;
+                });
+            }
+        });
+        shared = [];
+        mask.forEach((flag, i) => {
+            if (flag) shared.push(i);
+        });
+        if (!shared.length) {
+            shared = null;
+        }
+    }
+
+    const kept = datasets.map(() => null);
+    const result = datasets.map((ds, d) => {
+        const data = ds.data;
+        if (shared && data.length === labels.length && _isPrimitiveData(data)) {
+            decimated = true;
+            kept[d] = shared;
+            return _pick(ds, shared);
+        }
+        if (data.length <= threshold || _isPrimitiveData(data)) {
+            return ds;
+        }
+        const getX = i => _toNumber(data[i]?.x);
+        const getY = i => _toNumber(data[i]?.y);
+        let indices;
+        if (isLine) {
+            if (!Number.isFinite(getX(0)) && !Number.isFinite(getX(data.length - 1))) {
+                return ds;
+            }
+            indices = _sampleSeries(getX, getY, data.length, samples);
+        } else {
+            const positions = [];
+            for (let i = 0; i < data.length; i++) {
+                if (Number.isFinite(getX(i)) && Number.isFinite(getY(i))) {
+                    positions.push(i);
+                }
+            }
+            const cell = Math.max(1, Math.round(typeof ds.pointRadius === 'number' ? ds.pointRadius : 2));
+            const xs = Float64Array.from(positions, getX);
+            const ys = Float64Array.from(positions, getY);
+            indices = _pixelBin(xs, ys, options.width / cell, options.height / cell).map(k => positions[k]);
+        }
+        decimated = true;
+        kept[d] = indices;
+        return _pick(ds, indices);
+    });
+
+    if (!decimated) {
+        return null;
+    }
+    return {
+        labels: shared ? shared.map(i => labels[i]) : labels,
+        datasets: result,
+        indices: kept
+    };
+}
@@ -0,0 +1,82 @@
+import { _accessor } from './records.js';
+
+export function _drillLevels(drilldown) {
+    if (!drilldown || !Array.isArray(drilldown.levels)) {
+        return [];
+    }
+    return drilldown.levels.map((level, i) => {
+        const field = level && typeof level === 'object' ? level.field : level;
+        const label = level && typeof level === 'object' && typeof level.label === 'string'
+            ? level.label
+            : (typeof field === 'string' ? field : `Level ${i + 1}`);
+        return { field, label };
+    });
+}
+
+export function _drillPredicate(levels, path) {
+    if (!path.length) {
+        return null;
+    }
+    const checks = path.map((step, i) => {
+        const get = _accessor(levels[i].field);
+        return record => step.members.includes(get(record) ?? '(blank)');
+    });
+    return record => checks.every(check => check(record));
+}
+
+export class _DrillBreadcrumb {
+    constructor(container, onNavigate) {
+        this._container = container;
+        this._onNavigate = onNavigate;
+        this._container.classList.add('ajay-drill-breadcrumb');
+        this._container.setAttribute('role', 'navigation');
+        this._container.setAttribute('aria-label', 'Drill-down path');
+    }
+
+    render(path, levels, rootLabel) {
+        this._container.textContent = '';
+        this._container.hidden = path.length === 0;
+        if (!path.length) {
+            return;
+        }
+
+        const back = document.createElement('button');
+        back.type = 'button';
+        back.className = 'ajay-drill-back';
+        back.textContent = '← Back';
+        back.setAttribute('aria-label', `Back to ${path.length > 1 ? path[path.length - 2].display : rootLabel}`);
+        back.addEventListener('click', () => this._onNavigate(path.length - 1));
+        this._container.appendChild(back);
+
+        const crumbs = [{ display: rootLabel }].concat(path);
+        crumbs.forEach((crumb, depth) => {
+            if (depth > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'ajay-drill-separator';
+                separator.setAttribute('aria-hidden', 'true');
+                separator.textContent = ' › ';
+                this._container.appendChild(separator);
+            }
+            if (depth === crumbs.length - 1) {
+                const current = document.createElement('span');
+                current.className = 'ajay-drill-current';
+                current.setAttribute('aria-current', 'location');
+                current.textContent = crumb.display;
+                this._container.appendChild(current);
+                return;
+            }
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'ajay-drill-crumb';
+            link.textContent = crumb.display;
+            link.title = depth === 0 ? `All ${levels[0].label}` : `${levels[depth - 1].label}: ${crumb.display}`;
+            link.addEventListener('click', () => this._onNavigate(depth));
+            this._container.appendChild(link);
+        });
+    }
+
+    destroy() {
+        this._container.textContent = '';
+        this._container.classList.remove('ajay-drill-breadcrumb');
+    }
+}
@@ -0,0 +1,210 @@
+import { _Chart } from './charts.js';
+import { _fetchSource } from './dashboard.js';
+
+const TAG_NAME = 'ajay-chart';
+const DEFAULT_HEIGHT = '300px';
+const FORWARDED_EVENTS = ['pointclick', 'legendtoggle', 'drill', 'render'];
+const ATTRIBUTES = ['type', 'theme', 'title', 'chart-title', 'src', 'aggregate', 'palette', 'locale', 'format', 'aria-label'];
+
+function _parseValue(value) {
+    const text = value.trim();
+    return text.startsWith('{') || text.startsWith('[') ? JSON.parse(text) : text;
+}
+
+function _createElementClass() {
+    return class extends HTMLElement {
+        static get observedAttributes() {
+            return ATTRIBUTES;
+        }
+
+        constructor() {
+            super();
+            this._chart = null;
+            this._canvas = null;
+            this._ready = Promise.resolve(null);
+            this._loadToken = 0;
+        }
+
+        get chart() {
+            return this._chart;
+        }
+
+        get ready() {
+            return this._ready;
+        }
+
+        connectedCallback() {
+            if (!this._chart) {
+                this._mount();
+            }
+        }
+
+        disconnectedCallback() {
+            queueMicrotask(() => {
+                if (!this.isConnected) {
+                    this._unmount();
+                }
+            });
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (!this._chart || oldValue === newValue) {
+                return;
+            }
+            const chart = this._chart;
+            this._ready = this._applyAttribute(name, newValue)
+                .then(() => chart)
+                .catch(error => this._fail(error));
+        }
+
+        _mount() {
+            let config;
+            try {
+                config = this._readConfig();
+            } catch (error) {
+                this._ready = Promise.resolve().then(() => this._fail(error));
+                return;
+            }
+            this._applyLayout();
+            this._canvas = document.createElement('canvas');
+            this.appendChild(this._canvas);
+            try {
+                this._chart = new _Chart(this._canvas, config);
+            } catch (error) {
+                this._canvas.remove();
+                this._canvas = null;
+                this._ready = Promise.resolve().then(() => this._fail(error));
+                return;
+            }
+            FORWARDED_EVENTS.forEach(name => {
+                this._chart.on(name, detail => {
+                    this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+                });
+            });
+            const chart = this._chart;
+            const src = this.getAttribute('src');
+            this._ready = (src ? this._load(src) : chart.Render())
+                .then(() => chart)
+                .catch(error => this._fail(error));
+        }
+
+        _unmount() {
+            this._loadToken += 1;
+            if (this._chart) {
+                this._chart.destroy();
+                this._chart = null;
+            }
+            if (this._canvas) {
+                this._canvas.remove();
+                this._canvas = null;
+            }
+        }
+
+        _readConfig() {
+            const script = this.querySelector(':scope > script[type="application/json"]');
+            const config = script ? JSON.parse(script.textContent) : {};
+            if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                throw new Error('The <script type="application/json"> of <ajay-chart> must contain a chart config object.');
+            }
+            const set = (attribute, key, parse = value => value) => {
+                const value = this.getAttribute(attribute);
+                if (value !== null) {
+                    config[key] = parse(value);
+                }
+            };
+            set('type', 'type');
+            set('theme', 'theme');
+            set('title', 'titleText');
+            set('chart-title', 'titleText');
+            set('palette', 'palette', _parseValue);
+            set('locale', 'locale');
+            set('format', 'format', _parseValue);
+            set('aria-label', 'ariaLabel');
+            set('lazy', 'lazy', value => (value.trim().startsWith('{') ? _parseValue(value) : value.trim() !== 'false'));
+            config.autoDestroy = false;
+            return config;
+        }
+
+        _applyLayout() {
+            const style = getComputedStyle(this);
+            if (style.display === 'inline' || !style.display) {
+                this.style.display = 'block';
+            }
+            if (style.position === 'static' || !style.position) {
+                this.style.position = 'relative';
+            }
+            if (!this.style.height && this.offsetHeight === 0) {
+                this.style.height = DEFAULT_HEIGHT;
+            }
+        }
+
+        _applyAttribute(name, value) {
+            const chart = this._chart;
+            switch (name) {
+                case 'type':
+                    return chart.updateType(value ?? 'line');
+                case 'theme':
+                    return chart.setTheme(value ?? 'dark');
+                case 'title':
+                case 'chart-title':
+                    return chart.updateTitle(this.getAttribute('chart-title') ?? this.getAttribute('title') ?? '');
+                case 'palette':
+                    return chart.setPalette(value ? _parseValue(value) : []);
+                case 'locale':
+                    return chart.setLocale(value || null);
+                case 'format':
+                    return chart.setFormat(value ? _parseValue(value) : null);
+                case 'aria-label':
+                    chart.updateAriaLabel(value ?? '');
+                    return Promise.resolve(chart);
+                case 'src':
+                case 'aggregate':
+                    return this.hasAttribute('src') ? this._load(this.getAttribute('src')) : Promise.resolve(chart);
+                default:
+                    return Promise.resolve(chart);
+            }
+        }
+
+        _load(src) {
+            const token = ++this._loadToken;
+            return _fetchSource(src).then(text => {
+                const chart = this._chart;
+                if (token !== this._loadToken || !chart) {
+                    return chart;
+                }
+                const aggregate = this.getAttribute('aggregate');
+                if (aggregate !== null) {
+                    return chart.fromRecords(text, aggregate.trim() ? _parseValue(aggregate) : {});
+                }
+                const parsed = JSON.parse(text);
+                return chart.setData({
+                    labels: Array.isArray(parsed.labels) ? parsed.labels : [],
+                    datasets: Array.isArray(parsed.datasets) ? parsed.datasets : []
+                });
+            });
+        }
+
+        _fail(error) {
+            const event = new CustomEvent('error', { detail: { error }, cancelable: true });
+            if (this.dispatchEvent(event)) {
+                console.error(error);
+            }
+            return null;
+        }
+    };
+}
+
+export function _defineChartElement(tagName = TAG_NAME) {
+    if (typeof customElements === 'undefined' || typeof HTMLElement === 'undefined') {
+        return null;
+    }
+    const existing = customElements.get(tagName);
+    if (existing) {
+        return existing;
+    }
+    const ElementClass = _createElementClass();
+    customElements.define(tagName, ElementClass);
+    return ElementClass;
+}
+
+_defineChartElement();
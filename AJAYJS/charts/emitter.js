@@ -0,0 +1,48 @@
+export class _Emitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    on(event, handler) {
+        if (typeof handler !== 'function') {
+            return this;
+        }
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, new Set());
+        }
+        this._listeners.get(event).add(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        if (!handler) {
+            this._listeners.delete(event);
+        } else if (this._listeners.has(event)) {
+            this._listeners.get(event).delete(handler);
+        }
+        return this;
+    }
+
+    once(event, handler) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            handler(payload);
+        };
+        return this.on(event, wrapper);
+    }
+
+    emit(event, payload) {
+        const handlers = this._listeners.get(event);
+        if (!handlers || !handlers.size) {
+            return false;
+        }
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in '${event}' handler: ${error.message}`);
+            }
+        });
+        return true;
+    }
+}
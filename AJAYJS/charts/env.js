@@ -0,0 +1,40 @@
+const _environment = {
+    createCanvas: null
+};
+
+export function _configureEnvironment(options = {}) {
+    if (options.createCanvas !== undefined) {
+        _environment.createCanvas = typeof options.createCanvas === 'function' ? options.createCanvas : null;
+    }
+}
+
+export function _hasDOM() {
+    return typeof window !== 'undefined' && typeof document !== 'undefined' && typeof document.createElement === 'function';
+}
+
+export function _isElement(node) {
+    return typeof Element !== 'undefined' && node instanceof Element;
+}
+
+export function _isCanvas(node) {
+    if (typeof HTMLCanvasElement !== 'undefined' && node instanceof HTMLCanvasElement) {
+        return true;
+    }
+    return !!node && typeof node === 'object' && typeof node.getContext === 'function';
+}
+
+export function _createCanvas(width, height) {
+    if (_environment.createCanvas) {
+        return _environment.createCanvas(width, height);
+    }
+    if (_hasDOM()) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    throw new Error('No canvas implementation is available. Pass one with Chart.configureEnvironment({ createCanvas: (width, height) => canvas }).');
+}
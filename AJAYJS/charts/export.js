@@ -0,0 +1,591 @@
+import { _hasDOM } from './env.js';
+
+const _svgNS = 'http://www.w3.org/2000/svg';
+
+const _escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const _num = (n) => Number.isFinite(n) ? +n.toFixed(3) : 0;
+
+class _SvgGradient {
+    constructor(id, kind, coords, transform) {
+        this.id = id;
+        this.kind = kind;
+        this.coords = coords;
+        this.transform = transform;
+        this.stops = [];
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color });
+    }
+
+    toString() {
+        const stops = this.stops
+            .map(s => `<stop offset="${_num(s.offset)}" stop-color="${_escapeXml(s.color)}"/>`)
+            .join('');
+        const [a, b, c, d, e, f] = this.transform;
+        const attrs = this.kind === 'linear'
+            ? `x1="${_num(this.coords[0])}" y1="${_num(this.coords[1])}" x2="${_num(this.coords[2])}" y2="${_num(this.coords[3])}"`
+            : `fx="${_num(this.coords[0])}" fy="${_num(this.coords[1])}" cx="${_num(this.coords[3])}" cy="${_num(this.coords[4])}" r="${_num(this.coords[5])}"`;
+        return `<${this.kind}Gradient id="${this.id}" gradientUnits="userSpaceOnUse" ` +
+            `gradientTransform="matrix(${[a, b, c, d, e, f].map(_num).join(' ')})" ${attrs}>${stops}</${this.kind}Gradient>`;
+    }
+}
+
+export class _SvgContext {
+    constructor(width, height, measureContext = null) {
+        this.canvas = {
+            width,
+            height,
+            style: {},
+            getContext: () => this,
+            getAttribute(name) {
+                return name in this ? String(this[name]) : null;
+            },
+            setAttribute(name, value) {
+                this[name] = value;
+            },
+            removeAttribute(name) {
+                delete this[name];
+            }
+        };
+        this._measureContext = measureContext;
+        this._defs = [];
+        this._nodes = [];
+        this._stack = [];
+        this._path = [];
+        this._idCounter = 0;
+        this._state = {
+            fillStyle: '#000000',
+            strokeStyle: '#000000',
+            lineWidth: 1,
+            lineCap: 'butt',
+            lineJoin: 'miter',
+            miterLimit: 10,
+            lineDash: [],
+            lineDashOffset: 0,
+            globalAlpha: 1,
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic',
+            direction: 'inherit',
+            transform: [1, 0, 0, 1, 0, 0],
+            clipId: null
+        };
+        this.imageSmoothingEnabled = true;
+        this.globalCompositeOperation = 'source-over';
+        this.shadowBlur = 0;
+        this.shadowColor = 'rgba(0, 0, 0, 0)';
+        this.shadowOffsetX = 0;
+        this.shadowOffsetY = 0;
+    }
+
+    get fillStyle() { return this._state.fillStyle; }
+    set fillStyle(v) { this._state.fillStyle = v; }
+    get strokeStyle() { return this._state.strokeStyle; }
+    set strokeStyle(v) { this._state.strokeStyle = v; }
+    get lineWidth() { return this._state.lineWidth; }
+    set lineWidth(v) { this._state.lineWidth = v; }
+    get lineCap() { return this._state.lineCap; }
+    set lineCap(v) { this._state.lineCap = v; }
+    get lineJoin() { return this._state.lineJoin; }
+    set lineJoin(v) { this._state.lineJoin = v; }
+    get miterLimit() { return this._state.miterLimit; }
+    set miterLimit(v) { this._state.miterLimit = v; }
+    get lineDashOffset() { return this._state.lineDashOffset; }
+    set lineDashOffset(v) { this._state.lineDashOffset = v; }
+    get globalAlpha() { return this._state.globalAlpha; }
+    set globalAlpha(v) { this._state.globalAlpha = v; }
+    get font() { return this._state.font; }
+    set font(v) { this._state.font = v; }
+    get textAlign() { return this._state.textAlign; }
+    set textAlign(v) { this._state.textAlign = v; }
+    get textBaseline() { return this._state.textBaseline; }
+    set textBaseline(v) { this._state.textBaseline = v; }
+    get direction() { return this._state.direction; }
+    set direction(v) { this._state.direction = v; }
+
+    save() {
+        this._stack.push({ ...this._state, transform: this._state.transform.slice(), lineDash: this._state.lineDash.slice() });
+    }
+
+    restore() {
+        if (this._stack.length) {
+            this._state = this._stack.pop();
+        }
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        if (typeof a === 'object' && a !== null) {
+            this._state.transform = [a.a, a.b, a.c, a.d, a.e, a.f];
+        } else {
+            this._state.transform = [a, b, c, d, e, f];
+        }
+    }
+
+    resetTransform() {
+        this._state.transform = [1, 0, 0, 1, 0, 0];
+    }
+
+    getTransform() {
+        const [a, b, c, d, e, f] = this._state.transform;
+        return { a, b, c, d, e, f };
+    }
+
+    transform(a2, b2, c2, d2, e2, f2) {
+        const [a, b, c, d, e, f] = this._state.transform;
+        this._state.transform = [
+            a * a2 + c * b2,
+            b * a2 + d * b2,
+            a * c2 + c * d2,
+            b * c2 + d * d2,
+            a * e2 + c * f2 + e,
+            b * e2 + d * f2 + f
+        ];
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    setLineDash(segments) {
+        this._state.lineDash = Array.isArray(segments) ? segments.slice() : [];
+    }
+
+    getLineDash() {
+        return this._state.lineDash.slice();
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        const gradient = new _SvgGradient(this._nextId('g'), 'linear', [x0, y0, x1, y1], this._state.transform.slice());
+        this._defs.push(gradient);
+        return gradient;
+    }
+
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        const gradient = new _SvgGradient(this._nextId('g'), 'radial', [x0, y0, r0, x1, y1, r1], this._state.transform.slice());
+        this._defs.push(gradient);
+        return gradient;
+    }
+
+    createPattern() {
+        return null;
+    }
+
+    beginPath() {
+        this._path = [];
+    }
+
+    closePath() {
+        this._path.push('Z');
+    }
+
+    moveTo(x, y) {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return;
+        }
+        const [px, py] = this._apply(x, y);
+        this._path.push(`M${_num(px)} ${_num(py)}`);
+    }
+
+    lineTo(x, y) {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return;
+        }
+        const [px, py] = this._apply(x, y);
+        this._path.push(`${this._path.length ? 'L' : 'M'}${_num(px)} ${_num(py)}`);
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        const p1 = this._apply(cp1x, cp1y);
+        const p2 = this._apply(cp2x, cp2y);
+        const p = this._apply(x, y);
+        this._path.push(`C${[...p1, ...p2, ...p].map(_num).join(' ')}`);
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        const p1 = this._apply(cpx, cpy);
+        const p = this._apply(x, y);
+        this._path.push(`Q${[...p1, ...p].map(_num).join(' ')}`);
+    }
+
+    rect(x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    }
+
+    roundRect(x, y, w, h) {
+        this.rect(x, y, w, h);
+    }
+
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, anticlockwise);
+    }
+
+    ellipse(x, y, rx, ry, rotation, startAngle, endAngle, anticlockwise = false) {
+        if (![x, y, rx, ry, rotation, startAngle, endAngle].every(Number.isFinite)) {
+            return;
+        }
+        const TAU = Math.PI * 2;
+        let sweep = endAngle - startAngle;
+        if (!anticlockwise && sweep < 0) {
+            sweep = sweep % TAU + TAU;
+        } else if (anticlockwise && sweep > 0) {
+            sweep = sweep % TAU - TAU;
+        }
+        if (Math.abs(sweep) > TAU) {
+            sweep = anticlockwise ? -TAU : TAU;
+        }
+
+        const pointAt = (angle) => {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const ex = rx * cos;
+            const ey = ry * sin;
+            return [
+                x + ex * Math.cos(rotation) - ey * Math.sin(rotation),
+                y + ex * Math.sin(rotation) + ey * Math.cos(rotation)
+            ];
+        };
+
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        const step = sweep / segments;
+        const [sx, sy] = pointAt(startAngle);
+        if (this._path.length) {
+            this.lineTo(sx, sy);
+        } else {
+            this.moveTo(sx, sy);
+        }
+
+        const k = (4 / 3) * Math.tan(step / 4);
+        for (let i = 0; i < segments; i++) {
+            const a0 = startAngle + i * step;
+            const a1 = a0 + step;
+            const derivative = (angle) => [
+                -rx * Math.sin(angle) * Math.cos(rotation) - ry * Math.cos(angle) * Math.sin(rotation),
+                -rx * Math.sin(angle) * Math.sin(rotation) + ry * Math.cos(angle) * Math.cos(rotation)
+            ];
+            const [x0, y0] = pointAt(a0);
+            const [x1, y1] = pointAt(a1);
+            const [dx0, dy0] = derivative(a0);
+            const [dx1, dy1] = derivative(a1);
+            this.bezierCurveTo(x0 + k * dx0, y0 + k * dy0, x1 - k * dx1, y1 - k * dy1, x1, y1);
+        }
+    }
+
+    fill(pathOrRule, maybeRule) {
+        const rule = typeof pathOrRule === 'string' ? pathOrRule : maybeRule;
+        this._emitPath(this._path, {
+            fill: this._paint(this._state.fillStyle),
+            'fill-rule': rule === 'evenodd' ? 'evenodd' : null,
+            stroke: 'none'
+        });
+    }
+
+    stroke() {
+        this._emitPath(this._path, { fill: 'none', ...this._strokeAttrs() });
+    }
+
+    fillRect(x, y, w, h) {
+        const saved = this._path;
+        this._path = [];
+        this.rect(x, y, w, h);
+        this.fill();
+        this._path = saved;
+    }
+
+    strokeRect(x, y, w, h) {
+        const saved = this._path;
+        this._path = [];
+        this.rect(x, y, w, h);
+        this.stroke();
+        this._path = saved;
+    }
+
+    clearRect(x, y, w, h) {
+        if (x <= 0 && y <= 0 && x + w >= this.canvas.width && y + h >= this.canvas.height) {
+            this._nodes = [];
+        }
+    }
+
+    clip() {
+        const id = this._nextId('c');
+        const parent = this._state.clipId ? ` clip-path="url(#${this._state.clipId})"` : '';
+        this._defs.push(`<clipPath id="${id}"${parent}><path d="${this._path.join('')}"/></clipPath>`);
+        this._state.clipId = id;
+    }
+
+    isPointInPath() {
+        return false;
+    }
+
+    isPointInStroke() {
+        return false;
+    }
+
+    fillText(text, x, y) {
+        this._emitText(text, x, y, { fill: this._paint(this._state.fillStyle), stroke: 'none' });
+    }
+
+    strokeText(text, x, y) {
+        this._emitText(text, x, y, { fill: 'none', ...this._strokeAttrs() });
+    }
+
+    measureText(text) {
+        if (this._measureContext) {
+            this._measureContext.font = this._state.font;
+            return this._measureContext.measureText(text);
+        }
+        const size = parseFloat((/(\d+(?:\.\d+)?)px/.exec(this._state.font) || [])[1]) || 10;
+        const width = String(text).length * size * 0.55;
+        return {
+            width,
+            actualBoundingBoxLeft: 0,
+            actualBoundingBoxRight: width,
+            actualBoundingBoxAscent: size * 0.8,
+            actualBoundingBoxDescent: size * 0.2
+        };
+    }
+
+    drawImage(image, ...args) {
+        let dataURL = null;
+        if (image && typeof image.toDataURL === 'function') {
+            dataURL = image.toDataURL();
+        } else if (image && image.src) {
+            dataURL = image.src;
+        }
+        if (!dataURL) {
+            return;
+        }
+        const [dx, dy, dw, dh] = args.length >= 8 ? args.slice(4) : args;
+        const width = dw ?? image.width;
+        const height = dh ?? image.height;
+        this._nodes.push(
+            `<image href="${_escapeXml(dataURL)}" x="${_num(dx)}" y="${_num(dy)}" width="${_num(width)}" height="${_num(height)}"` +
+            `${this._commonAttrs(true)}/>`
+        );
+    }
+
+    getImageData(x, y, w, h) {
+        return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+    }
+
+    putImageData() {}
+
+    toSVG(background = null) {
+        const { width, height } = this.canvas;
+        const defs = this._defs.length ? `<defs>${this._defs.map(String).join('')}</defs>` : '';
+        const bg = background ? `<rect width="100%" height="100%" fill="${_escapeXml(background)}"/>` : '';
+        return `<svg xmlns="${_svgNS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `${defs}${bg}${this._nodes.join('')}</svg>`;
+    }
+
+    _nextId(prefix) {
+        this._idCounter += 1;
+        return `ajay-${prefix}${this._idCounter}`;
+    }
+
+    _apply(x, y) {
+        const [a, b, c, d, e, f] = this._state.transform;
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+
+    _scaleFactor() {
+        const [a, b, c, d] = this._state.transform;
+        return Math.sqrt(Math.abs(a * d - b * c)) || 1;
+    }
+
+    _paint(style) {
+        if (style instanceof _SvgGradient) {
+            return `url(#${style.id})`;
+        }
+        return typeof style === 'string' ? style : '#000000';
+    }
+
+    _strokeAttrs() {
+        const s = this._state;
+        const scale = this._scaleFactor();
+        return {
+            stroke: this._paint(s.strokeStyle),
+            'stroke-width': _num(s.lineWidth * scale),
+            'stroke-linecap': s.lineCap,
+            'stroke-linejoin': s.lineJoin,
+            'stroke-miterlimit': s.miterLimit,
+            'stroke-dasharray': s.lineDash.length ? s.lineDash.map(v => _num(v * scale)).join(' ') : null,
+            'stroke-dashoffset': s.lineDash.length && s.lineDashOffset ? _num(s.lineDashOffset * scale) : null
+        };
+    }
+
+    _commonAttrs(includeOpacity) {
+        let out = '';
+        if (includeOpacity && this._state.globalAlpha < 1) {
+            out += ` opacity="${_num(this._state.globalAlpha)}"`;
+        }
+        if (this._state.clipId) {
+            out += ` clip-path="url(#${this._state.clipId})"`;
+        }
+        return out;
+    }
+
+    _attrString(attrs) {
+        return Object.entries(attrs)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => ` ${key}="${_escapeXml(value)}"`)
+            .join('');
+    }
+
+    _emitPath(path, attrs) {
+        if (!path.length) {
+            return;
+        }
+        this._nodes.push(`<path d="${path.join('')}"${this._attrString(attrs)}${this._commonAttrs(true)}/>`);
+    }
+
+    _emitText(text, x, y, attrs) {
+        const s = this._state;
+        const anchor = { left: 'start', right: 'end', center: 'middle', start: 'start', end: 'end' }[s.textAlign] ?? 'start';
+        const baseline = {
+            top: 'text-before-edge',
+            hanging: 'hanging',
+            middle: 'central',
+            alphabetic: 'alphabetic',
+            ideographic: 'ideographic',
+            bottom: 'text-after-edge'
+        }[s.textBaseline] ?? 'alphabetic';
+        const [a, b, c, d, e, f] = s.transform;
+        const matrix = [a, b, c, d, e, f].map(_num).join(' ');
+        this._nodes.push(
+            `<text x="${_num(x)}" y="${_num(y)}" transform="matrix(${matrix})" text-anchor="${anchor}" ` +
+            `dominant-baseline="${baseline}" style="font: ${_escapeXml(s.font)}; white-space: pre"` +
+            `${this._attrString(attrs)}${this._commonAttrs(true)}>${_escapeXml(text)}</text>`
+        );
+    }
+}
+
+export function _backgroundPlugin(color) {
+    return {
+        id: 'ajayBackground',
+        beforeDraw(chart) {
+            if (!color) {
+                return;
+            }
+            const { ctx, width, height } = chart;
+            ctx.save();
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = color;
+            ctx.fillRect(0, 0, width, height);
+            ctx.restore();
+        }
+    };
+}
+
+export function _dataURLToBlob(dataURL) {
+    const [header, body] = dataURL.split(',');
+    const mime = (/data:([^;,]+)/.exec(header) || [])[1] || 'application/octet-stream';
+    if (header.includes(';base64')) {
+        const binary = atob(body);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mime });
+    }
+    return new Blob([decodeURIComponent(body)], { type: mime });
+}
+
+export function _mimeType(format) {
+    return format === 'jpeg' || format === 'jpg' ? 'image/jpeg' : `image/${format}`;
+}
+
+export function _canvasToBytes(canvas, type, quality) {
+    if (typeof canvas.toBuffer === 'function') {
+        return Promise.resolve(canvas.toBuffer(type, type === 'image/jpeg' && quality !== undefined ? { quality } : undefined));
+    }
+    let blob;
+    if (typeof canvas.convertToBlob === 'function') {
+        blob = canvas.convertToBlob({ type, quality });
+    } else if (typeof canvas.toBlob === 'function') {
+        blob = new Promise((resolve, reject) => {
+            canvas.toBlob(result => (result ? resolve(result) : reject(new Error('The canvas could not be encoded.'))), type, quality);
+        });
+    } else {
+        blob = Promise.resolve(_dataURLToBlob(canvas.toDataURL(type, quality)));
+    }
+    return blob.then(result => result.arrayBuffer()).then(buffer => new Uint8Array(buffer));
+}
+
+export function _downloadBlob(blob, filename) {
+    if (!_hasDOM()) {
+        throw new Error('Downloading needs a browser; use renderToBuffer() to get the image bytes instead.');
+    }
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const _csvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function _tableRows(table) {
+    const isPrimitive = (v) => v === null || typeof v !== 'object';
+    const aligned = table.labels.length > 0 &&
+        table.datasets.every(ds => ds.data.every(isPrimitive));
+
+    const rows = [];
+    if (aligned) {
+        rows.push(['label', ...table.datasets.map((ds, i) => ds.label || `Dataset ${i + 1}`)]);
+        table.labels.forEach((label, i) => {
+            rows.push([label, ...table.datasets.map(ds => ds.data[i])]);
+        });
+    } else {
+        const keys = [];
+        table.datasets.forEach(ds => ds.data.forEach(point => {
+            if (!isPrimitive(point)) {
+                Object.keys(point).forEach(k => { if (!keys.includes(k)) keys.push(k); });
+            }
+        }));
+        const valueKeys = keys.length ? keys : ['value'];
+        rows.push(['dataset', 'index', 'label', ...valueKeys]);
+        table.datasets.forEach((ds, dsIndex) => {
+            ds.data.forEach((point, i) => {
+                const values = isPrimitive(point)
+                    ? valueKeys.map(k => (k === 'value' || k === 'y' ? point : ''))
+                    : valueKeys.map(k => point[k]);
+                rows.push([ds.label || `Dataset ${dsIndex + 1}`, i, table.labels[i] ?? '', ...values]);
+            });
+        });
+    }
+    return rows;
+}
+
+export function _tableToCSV(table) {
+    return _tableRows(table).map(row => row.map(_csvCell).join(',')).join('\r\n');
+}
@@ -0,0 +1,119 @@
+import { _Emitter } from './emitter.js';
+import { _accessor } from './records.js';
+
+export class _FilterState extends _Emitter {
+    constructor() {
+        super();
+        this._filters = new Map();
+    }
+
+    get active() {
+        return Array.from(this._filters.values());
+    }
+
+    get(field) {
+        return this._filters.get(field) ?? null;
+    }
+
+    set(field, values, options = {}) {
+        const list = Array.isArray(values) ? values : [values];
+        this._filters.set(field, {
+            field,
+            values: list,
+            label: options.label ?? field,
+            display: options.display ?? list.join(', '),
+            source: options.source ?? null
+        });
+        this._changed();
+    }
+
+    toggle(field, values, options = {}) {
+        const list = Array.isArray(values) ? values : [values];
+        const current = this._filters.get(field);
+        if (current && current.values.length === list.length && current.values.every(v => list.includes(v))) {
+            this.remove(field);
+        } else {
+            this.set(field, list, options);
+        }
+    }
+
+    remove(field) {
+        if (this._filters.delete(field)) {
+            this._changed();
+        }
+    }
+
+    clear() {
+        if (this._filters.size) {
+            this._filters.clear();
+            this._changed();
+        }
+    }
+
+    predicate(excludeSource = null) {
+        const checks = this.active
+            .filter(filter => !excludeSource || filter.source !== excludeSource)
+            .map(filter => {
+                const get = _accessor(filter.field);
+                const allowed = new Set(filter.values);
+                return record => allowed.has(get(record));
+            });
+        if (!checks.length) {
+            return null;
+        }
+        return record => checks.every(check => check(record));
+    }
+
+    _changed() {
+        this.emit('change', { filters: this.active });
+    }
+}
+
+export class _FilterBreadcrumb {
+    constructor(container, state) {
+        this._container = container;
+        this._state = state;
+        this._onChange = () => this.render();
+        this._container.classList.add('ajay-filter-breadcrumb');
+        this._container.setAttribute('role', 'navigation');
+        this._container.setAttribute('aria-label', 'Active filters');
+        this._state.on('change', this._onChange);
+        this.render();
+    }
+
+    render() {
+        const filters = this._state.active;
+        this._container.textContent = '';
+        this._container.hidden = filters.length === 0;
+        if (!filters.length) {
+            return;
+        }
+
+        filters.forEach(filter => {
+            const chip = document.createElement('span');
+            chip.className = 'ajay-filter-chip';
+            chip.textContent = `${filter.label}: ${filter.display} `;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'ajay-filter-remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', `Remove filter ${filter.label}: ${filter.display}`);
+            remove.addEventListener('click', () => this._state.remove(filter.field));
+            chip.appendChild(remove);
+            this._container.appendChild(chip);
+        });
+
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'ajay-filter-clear';
+        clear.textContent = 'Clear all';
+        clear.addEventListener('click', () => this._state.clear());
+        this._container.appendChild(clear);
+    }
+
+    destroy() {
+        this._state.off('change', this._onChange);
+        this._container.textContent = '';
+        this._container.classList.remove('ajay-filter-breadcrumb');
+    }
+}
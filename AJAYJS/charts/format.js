@@ -0,0 +1,161 @@
+import { _parseTime } from './time.js';
+
+export const FORMAT_STYLES = ['number', 'percent', 'currency', 'compact', 'duration', 'date'];
+
+const SHARE_TYPES = ['pie', 'doughnut', 'polararea', 'funnel'];
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+const DURATION_INPUT = { ms: 0.001, s: 1, min: 60, h: 3600, d: 86400 };
+const DURATION_PARTS = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+const OWN_KEYS = ['style', 'decimals', 'unit', 'parts'];
+
+const _cache = new Map();
+
+function _intlOptions(spec) {
+    const options = {};
+    Object.keys(spec).forEach(key => {
+        if (!OWN_KEYS.includes(key)) {
+            options[key] = spec[key];
+        }
+    });
+    if (typeof spec.decimals === 'number') {
+        options.minimumFractionDigits = spec.decimals;
+        options.maximumFractionDigits = spec.decimals;
+    }
+    return options;
+}
+
+function _numberFormatter(locale, style, options) {
+    switch (style) {
+        case 'percent':
+            return new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1, ...options });
+        case 'currency':
+            return new Intl.NumberFormat(locale, { style: 'currency', ...options });
+        case 'compact':
+            return new Intl.NumberFormat(locale, { notation: 'compact', maximumFractionDigits: 1, ...options });
+        default:
+            return new Intl.NumberFormat(locale, { maximumFractionDigits: 2, ...options });
+    }
+}
+
+function _durationFormatter(locale, spec, options) {
+    const scale = DURATION_INPUT[spec.unit ?? 's'] ?? 1;
+    const maxParts = typeof spec.parts === 'number' && spec.parts > 0 ? spec.parts : 2;
+    const parts = DURATION_PARTS.map(([unit, size]) => [size, new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'narrow', maximumFractionDigits: 0, ...options })]);
+    return value => {
+        let rest = Math.round(Math.abs(value * scale));
+        const out = [];
+        parts.forEach(([size, formatter]) => {
+            if (out.length < maxParts && rest >= size) {
+                const amount = Math.floor(rest / size);
+                rest -= amount * size;
+                out.push(formatter.format(amount));
+            }
+        });
+        if (!out.length) {
+            out.push(parts[parts.length - 1][1].format(0));
+        }
+        return `${value < 0 ? '-' : ''}${out.join(' ')}`;
+    };
+}
+
+function _dateFormatter(locale, options) {
+    const hasFields = ['weekday', 'era', 'year', 'month', 'day', 'hour', 'minute', 'second', 'dateStyle', 'timeStyle']
+        .some(key => options[key] !== undefined);
+    const formatter = new Intl.DateTimeFormat(locale, hasFields ? options : { dateStyle: 'medium', ...options });
+    return value => {
+        const time = value instanceof Date ? value.getTime() : _parseTime(value, options.timeZone);
+        return Number.isFinite(time) ? formatter.format(time) : String(value);
+    };
+}
+
+function _buildFormatter(spec, locale) {
+    const style = spec.style ?? 'number';
+    const options = _intlOptions(spec);
+    if (style === 'date') {
+        return _dateFormatter(locale, options);
+    }
+    if (style === 'duration') {
+        return _durationFormatter(locale, spec, options);
+    }
+    const formatter = _numberFormatter(locale, style, options);
+    return value => formatter.format(value);
+}
+
+export function _formatter(spec, locale) {
+    if (typeof spec === 'function') {
+        return value => String(spec(value, locale));
+    }
+    const normalized = typeof spec === 'string' ? { style: spec } : (spec ?? {});
+    const key = `${locale ?? ''}|${JSON.stringify(normalized)}`;
+    if (!_cache.has(key)) {
+        let format;
+        try {
+            format = _buildFormatter(normalized, locale);
+        } catch (error) {
+            console.warn(`Cannot format values as ${JSON.stringify(normalized)} (${error.message}); using plain numbers.`);
+            format = _buildFormatter({ style: normalized.style === 'date' ? 'date' : 'number' });
+        }
+        const numeric = normalized.style !== 'date';
+        _cache.set(key, value => {
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+            if (numeric) {
+                const number = typeof value === 'number' ? value : Number(value);
+                return Number.isFinite(number) ? format(number) : String(value);
+            }
+            return format(value);
+        });
+    }
+    return _cache.get(key);
+}
+
+export function _checkFormat(spec, locale) {
+    if (typeof spec === 'function') {
+        return null;
+    }
+    const normalized = typeof spec === 'string' ? { style: spec } : spec;
+    if (!normalized || typeof normalized !== 'object' || Array.isArray(normalized)) {
+        return 'expected a style name, an object with style or a function';
+    }
+    const style = normalized.style ?? 'number';
+    if (!FORMAT_STYLES.includes(style)) {
+        return `unknown style ${JSON.stringify(style)}; expected one of ${FORMAT_STYLES.join(', ')}`;
+    }
+    if (style === 'currency' && typeof normalized.currency !== 'string') {
+        return `the currency style needs a currency code, e.g. { style: 'currency', currency: 'INR' }`;
+    }
+    if (style === 'duration' && normalized.unit !== undefined && !(normalized.unit in DURATION_INPUT)) {
+        return `unknown duration unit ${JSON.stringify(normalized.unit)}; expected one of ${Object.keys(DURATION_INPUT).join(', ')}`;
+    }
+    try {
+        _buildFormatter(normalized, locale);
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+export function _isShareType(type) {
+    return SHARE_TYPES.includes(String(type).toLowerCase());
+}
+
+export function _isPercent(spec) {
+    return spec === 'percent' || (!!spec && typeof spec === 'object' && spec.style === 'percent');
+}
+
+export function _isRtlLocale(locale) {
+    if (typeof locale !== 'string' || !locale) {
+        return false;
+    }
+    try {
+        const info = new Intl.Locale(locale);
+        const direction = (typeof info.getTextInfo === 'function' ? info.getTextInfo() : info.textInfo)?.direction;
+        if (direction) {
+            return direction === 'rtl';
+        }
+        return RTL_LANGUAGES.includes(info.language) || info.script === 'Arab' || info.script === 'Hebr';
+    } catch (error) {
+        return false;
+    }
+}
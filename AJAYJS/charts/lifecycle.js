@@ -0,0 +1,177 @@
+export const LAZY_DEFAULTS = { rootMargin: '200px', pause: true };
+
+function _nextFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+        requestAnimationFrame(callback);
+    } else {
+        setTimeout(callback, 16);
+    }
+}
+
+function _runAll(callbacks) {
+    callbacks.forEach(callback => {
+        try {
+            callback();
+        } catch (error) {
+            console.error(error);
+        }
+    });
+}
+
+export class _ResizeScheduler {
+    constructor() {
+        this._observer = null;
+        this._targets = new Map();
+        this._pending = new Set();
+        this._scheduled = false;
+    }
+
+    observe(element, callback) {
+        if (typeof ResizeObserver === 'undefined') {
+            return false;
+        }
+        if (!this._observer) {
+            this._observer = new ResizeObserver(entries => {
+                entries.forEach(entry => this._targets.get(entry.target)?.forEach(cb => this._pending.add(cb)));
+                this._schedule();
+            });
+        }
+        if (!this._targets.has(element)) {
+            this._targets.set(element, new Set());
+            this._observer.observe(element);
+        }
+        this._targets.get(element).add(callback);
+        return true;
+    }
+
+    unobserve(element, callback) {
+        const callbacks = this._targets.get(element);
+        this._pending.delete(callback);
+        if (!callbacks) {
+            return;
+        }
+        callbacks.delete(callback);
+        if (!callbacks.size) {
+            this._targets.delete(element);
+            this._observer.unobserve(element);
+        }
+        if (!this._targets.size) {
+            this._observer.disconnect();
+            this._observer = null;
+        }
+    }
+
+    _schedule() {
+        if (this._scheduled || !this._pending.size) {
+            return;
+        }
+        this._scheduled = true;
+        _nextFrame(() => {
+            this._scheduled = false;
+            const pending = Array.from(this._pending);
+            this._pending.clear();
+            _runAll(pending);
+        });
+    }
+}
+
+export class _VisibilityWatcher {
+    constructor() {
+        this._groups = new Map();
+    }
+
+    watch(element, callback, rootMargin = LAZY_DEFAULTS.rootMargin) {
+        if (typeof IntersectionObserver === 'undefined') {
+            return false;
+        }
+        let group = this._groups.get(rootMargin);
+        if (!group) {
+            const callbacks = new Map();
+            let observer;
+            try {
+                observer = new IntersectionObserver(entries => {
+                    entries.forEach(entry => callbacks.get(entry.target)?.(entry.isIntersecting));
+                }, { rootMargin });
+            } catch (error) {
+                console.warn(`Invalid lazy rootMargin ${JSON.stringify(rootMargin)} (${error.message}); rendering immediately.`);
+                return false;
+            }
+            group = { observer, callbacks };
+            this._groups.set(rootMargin, group);
+        }
+        group.callbacks.set(element, callback);
+        group.observer.observe(element);
+        return true;
+    }
+
+    unwatch(element, rootMargin = LAZY_DEFAULTS.rootMargin) {
+        const group = this._groups.get(rootMargin);
+        if (!group || !group.callbacks.delete(element)) {
+            return;
+        }
+        group.observer.unobserve(element);
+        if (!group.callbacks.size) {
+            group.observer.disconnect();
+            this._groups.delete(rootMargin);
+        }
+    }
+}
+
+export class _RemovalWatcher {
+    constructor() {
+        this._observer = null;
+        this._entries = new Map();
+        this._scheduled = false;
+    }
+
+    track(element, onRemove) {
+        if (typeof MutationObserver === 'undefined' || typeof document === 'undefined') {
+            return false;
+        }
+        if (!this._observer) {
+            this._observer = new MutationObserver(records => this._check(records));
+            this._observer.observe(document, { childList: true, subtree: true });
+        }
+        this._entries.set(element, { onRemove, connected: element.isConnected });
+        return true;
+    }
+
+    untrack(element) {
+        if (!this._entries.delete(element) || this._entries.size) {
+            return;
+        }
+        this._observer.disconnect();
+        this._observer = null;
+    }
+
+    _check(records) {
+        const removed = [];
+        records.forEach(record => record.removedNodes.forEach(node => removed.push(node)));
+        this._entries.forEach((entry, element) => {
+            if (element.isConnected) {
+                entry.connected = true;
+            } else if (!entry.connected && removed.some(node => node === element || node.contains?.(element))) {
+                entry.connected = true;
+            }
+        });
+        if (!removed.length || this._scheduled) {
+            return;
+        }
+        this._scheduled = true;
+        _nextFrame(() => {
+            this._scheduled = false;
+            const detached = [];
+            this._entries.forEach((entry, element) => {
+                if (entry.connected && !element.isConnected) {
+                    detached.push(entry.onRemove);
+                    this.untrack(element);
+                }
+            });
+            _runAll(detached);
+        });
+    }
+}
+
+export const _resizeScheduler = new _ResizeScheduler();
+export const _visibilityWatcher = new _VisibilityWatcher();
+export const _removalWatcher = new _RemovalWatcher();
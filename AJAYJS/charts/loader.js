@@ -0,0 +1,178 @@
+import { _Emitter } from './emitter.js';
+import { _hasDOM } from './env.js';
+
+const DEFAULT_SOURCE = 'https://cdn.jsdelivr.net/npm/chart.js';
+const DEFAULT_TIMEOUT = 10000;
+
+const _scriptPromises = new Map();
+
+function _loadScript(src) {
+    if (_scriptPromises.has(src)) {
+        return _scriptPromises.get(src);
+    }
+    if (!_hasDOM()) {
+        return Promise.reject(new Error(`Cannot load ${src} without a DOM. Pass the module to Chart.configureLoader({ source }) or register plugins with Chart.js directly.`));
+    }
+    const promise = new Promise((resolve, reject) => {
+        const s = document.createElement('script');
+        s.src = src;
+        s.async = true;
+        s.onload = () => resolve();
+        s.onerror = () => {
+            _scriptPromises.delete(src);
+            s.remove();
+            reject(new Error(`Failed to load script: ${src}`));
+        };
+        document.head.appendChild(s);
+    });
+    _scriptPromises.set(src, promise);
+    return promise;
+}
+
+function _withTimeout(promise, ms, message) {
+    if (!(ms > 0) || !Number.isFinite(ms)) {
+        return promise;
+    }
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function _describeSource(source) {
+    return typeof source === 'string' ? source : 'the provided Chart.js module';
+}
+
+function _resolveModule(source) {
+    if (typeof source === 'function') {
+        return { ChartJS: source, namespace: null };
+    }
+    if (source && typeof source === 'object') {
+        const ChartJS = typeof source.Chart === 'function'
+            ? source.Chart
+            : (typeof source.default === 'function' ? source.default : null);
+        if (ChartJS) {
+            if (Array.isArray(source.registerables) && typeof ChartJS.register === 'function') {
+                ChartJS.register(...source.registerables);
+            }
+            return { ChartJS, namespace: source };
+        }
+    }
+    return null;
+}
+
+export class _ChartLoader extends _Emitter {
+    constructor() {
+        super();
+        this._source = DEFAULT_SOURCE;
+        this._timeout = DEFAULT_TIMEOUT;
+        this._chartJs = null;
+        this._namespace = null;
+        this._readyPromise = null;
+        this._plugins = new Map();
+    }
+
+    get chartJs() {
+        return this._chartJs;
+    }
+
+    get timeout() {
+        return this._timeout;
+    }
+
+    configure({ source, timeout } = {}) {
+        if (typeof timeout === 'number') {
+            this._timeout = timeout;
+        }
+        if (source !== undefined && source !== this._source) {
+            if (this._chartJs) {
+                console.warn('Chart.js is already loaded; the new loader source only applies after a page reload.');
+            } else {
+                this._source = source ?? DEFAULT_SOURCE;
+                this._readyPromise = null;
+            }
+        }
+    }
+
+    getExport(name) {
+        return this._chartJs?.[name] ?? this._namespace?.[name] ?? null;
+    }
+
+    ready() {
+        if (!this._readyPromise) {
+            const source = this._source;
+            const core = this._loadCore(source);
+            this._readyPromise = _withTimeout(
+                core,
+                this._timeout,
+                `Chart.js did not load from ${_describeSource(source)} within ${this._timeout}ms.`
+            )
+                .then(ChartJS => {
+                    this._chartJs = ChartJS;
+                    this.emit('load', { source, ChartJS });
+                    this._plugins.forEach((entry, name) => this._loadPlugin(name, entry));
+                    return ChartJS;
+                })
+                .catch(error => {
+                    this._readyPromise = null;
+                    this.emit('loaderror', { source, error });
+                    throw error;
+                });
+        }
+        return this._readyPromise;
+    }
+
+    pluginsReady() {
+        return Promise.all(Array.from(this._plugins.values(), entry => entry.promise ?? Promise.resolve(false)));
+    }
+
+    addPlugin(plugin) {
+        if (this._plugins.has(plugin.name)) {
+            return;
+        }
+        const entry = { plugin, promise: null };
+        this._plugins.set(plugin.name, entry);
+        if (this._chartJs) {
+            this._loadPlugin(plugin.name, entry);
+        }
+    }
+
+    _loadCore(source) {
+        const resolved = _resolveModule(source);
+        if (resolved) {
+            this._namespace = resolved.namespace;
+            return Promise.resolve(resolved.ChartJS);
+        }
+        if (typeof source !== 'string') {
+            return Promise.reject(new Error('The Chart.js loader source must be a URL, a Chart.js module or the Chart constructor.'));
+        }
+        if (typeof window !== 'undefined' && typeof window.Chart === 'function') {
+            return Promise.resolve(window.Chart);
+        }
+        return _loadScript(source).then(() => {
+            if (typeof window.Chart !== 'function') {
+                throw new Error(`Script ${source} loaded but did not define window.Chart.`);
+            }
+            return window.Chart;
+        });
+    }
+
+    _loadPlugin(name, entry) {
+        const { plugin } = entry;
+        entry.promise = _withTimeout(
+            _loadScript(plugin.src),
+            this._timeout,
+            `Plugin '${name}' did not load from ${plugin.src} within ${this._timeout}ms.`
+        )
+            .then(() => true)
+            .catch(error => {
+                this.emit('loaderror', { source: plugin.src, plugin: name, error });
+                console.error(`Failed to load plugin '${name}': ${error.message}`);
+                return false;
+            });
+        return entry.promise;
+    }
+}
+
+export const _loader = new _ChartLoader();
@@ -0,0 +1,148 @@
+import { _histogram, _kde } from './stats.js';
+import { _aggregateRecords } from './records.js';
+
+const DEFAULT_THRESHOLD = 50000;
+
+export const _TASKS = {
+    histogram({ values, options, kde }) {
+        const result = _histogram(values, options);
+        if (kde) {
+            const centers = result.edges.slice(1).map((edge, i) => (result.edges[i] + edge) / 2);
+            result.density = _kde(values, centers, kde);
+        }
+        return result;
+    },
+    aggregate({ records, spec }) {
+        const { labels, datasets, groups } = _aggregateRecords(records, spec);
+        const positions = new Map(records.map((record, i) => [record, i]));
+        const toPositions = list => list.map(record => positions.get(record));
+        return {
+            labels,
+            datasets,
+            groups: groups.map(group => ({ ...group, records: toPositions(group.records), series: group.series.map(toPositions) }))
+        };
+    }
+};
+
+export function _restoreGroups(result, records) {
+    const toRecords = list => list.map(i => records[i]);
+    return {
+        ...result,
+        groups: result.groups.map(group => ({ ...group, records: toRecords(group.records), series: group.series.map(toRecords) }))
+    };
+}
+
+export class _TaskRunner {
+    constructor() {
+        this._url = null;
+        this._threshold = DEFAULT_THRESHOLD;
+        this._enabled = true;
+        this._worker = null;
+        this._failed = false;
+        this._pending = new Map();
+        this._nextId = 0;
+    }
+
+    get threshold() {
+        return this._threshold;
+    }
+
+    configure({ url, threshold, enabled } = {}) {
+        if (typeof threshold === 'number' && threshold >= 0) {
+            this._threshold = threshold;
+        }
+        if (typeof enabled === 'boolean') {
+            this._enabled = enabled;
+        }
+        if (url !== undefined && url !== this._url) {
+            this._url = url;
+            this._failed = false;
+            this.terminate();
+        }
+    }
+
+    available() {
+        return this._enabled && !this._failed && typeof Worker !== 'undefined';
+    }
+
+    shouldOffload(size) {
+        return size >= this._threshold && this.available();
+    }
+
+    run(task, payload) {
+        const worker = this._ensureWorker();
+        if (!worker) {
+            return new Promise(resolve => resolve(_TASKS[task](payload)));
+        }
+        return new Promise((resolve, reject) => {
+            const id = ++this._nextId;
+            this._pending.set(id, { task, payload, resolve, reject });
+            try {
+                worker.postMessage({ id, task, payload });
+            } catch (error) {
+                this._pending.delete(id);
+                resolve(_TASKS[task](payload));
+            }
+        });
+    }
+
+    terminate() {
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = null;
+        }
+        this._flushPending();
+    }
+
+    _ensureWorker() {
+        if (!this.available()) {
+            return null;
+        }
+        if (!this._worker) {
+            try {
+                this._worker = new Worker(this._url ?? new URL('./worker.js', import.meta.url), { type: 'module' });
+            } catch (error) {
+                this._disable(`Could not start the aggregation worker (${error.message}); running on the main thread.`);
+                return null;
+            }
+            this._worker.onmessage = event => {
+                const { id, result, error } = event.data;
+                const entry = this._pending.get(id);
+                if (!entry) {
+                    return;
+                }
+                this._pending.delete(id);
+                if (error) {
+                    entry.reject(new Error(error));
+                } else {
+                    entry.resolve(result);
+                }
+            };
+            this._worker.onerror = event => {
+                event.preventDefault?.();
+                this._disable(`The aggregation worker failed (${event.message ?? 'script error'}); running on the main thread.`);
+            };
+        }
+        return this._worker;
+    }
+
+    _disable(message) {
+        console.warn(message);
+        this._failed = true;
+        this.terminate();
+    }
+
+    _flushPending() {
+        const pending = Array.from(this._pending.values());
+        this._pending.clear();
+        pending.forEach(entry => {
+            try {
+                entry.resolve(_TASKS[entry.task](entry.payload));
+            } catch (error) {
+                entry.reject(error);
+            }
+        });
+    }
+}
+
+export const _offload = new _TaskRunner();
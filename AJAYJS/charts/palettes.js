@@ -0,0 +1,186 @@
+const _palettes = new Map([
+    ['okabe-ito', { type: 'categorical', colorBlindSafe: true, colors: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'] }],
+    ['tol-bright', { type: 'categorical', colorBlindSafe: true, colors: ['#4477AA', '#EE6677', '#228833', '#CCBB44', '#66CCEE', '#AA3377', '#BBBBBB'] }],
+    ['tol-vibrant', { type: 'categorical', colorBlindSafe: true, colors: ['#EE7733', '#0077BB', '#33BBEE', '#EE3377', '#CC3311', '#009988', '#BBBBBB'] }],
+    ['tol-muted', { type: 'categorical', colorBlindSafe: true, colors: ['#CC6677', '#332288', '#DDCC77', '#117733', '#88CCEE', '#882255', '#44AA99', '#999933', '#AA4499'] }],
+    ['ibm', { type: 'categorical', colorBlindSafe: true, colors: ['#648FFF', '#785EF0', '#DC267F', '#FE6100', '#FFB000'] }],
+    ['tableau10', { type: 'categorical', colorBlindSafe: false, colors: ['#4E79A7', '#F28E2B', '#E15759', '#76B7B2', '#59A14F', '#EDC948', '#B07AA1', '#FF9DA7', '#9C755F', '#BAB0AC'] }],
+    ['viridis', { type: 'sequential', colorBlindSafe: true, colors: ['#440154', '#482878', '#3E4A89', '#31688E', '#26828E', '#1F9E89', '#35B779', '#6DCD59', '#B4DE2C', '#FDE725'] }],
+    ['cividis', { type: 'sequential', colorBlindSafe: true, colors: ['#00224E', '#123570', '#3B496C', '#575D6D', '#707173', '#8A8779', '#A69D75', '#C4B56C', '#E4CF5B', '#FEE838'] }],
+    ['blues', { type: 'sequential', colorBlindSafe: true, colors: ['#F7FBFF', '#DEEBF7', '#C6DBEF', '#9ECAE1', '#6BAED6', '#4292C6', '#2171B5', '#08519C', '#08306B'] }],
+    ['greens', { type: 'sequential', colorBlindSafe: true, colors: ['#F7FCF5', '#E5F5E0', '#C7E9C0', '#A1D99B', '#74C476', '#41AB5D', '#238B45', '#006D2C', '#00441B'] }],
+    ['reds', { type: 'sequential', colorBlindSafe: true, colors: ['#FFF5F0', '#FEE0D2', '#FCBBA1', '#FC9272', '#FB6A4A', '#EF3B2C', '#CB181D', '#A50F15', '#67000D'] }],
+    ['oranges', { type: 'sequential', colorBlindSafe: true, colors: ['#FFF5EB', '#FEE6CE', '#FDD0A2', '#FDAE6B', '#FD8D3C', '#F16913', '#D94801', '#A63603', '#7F2704'] }],
+    ['rdbu', { type: 'diverging', colorBlindSafe: true, colors: ['#67001F', '#B2182B', '#D6604D', '#F4A582', '#FDDBC7', '#F7F7F7', '#D1E5F0', '#92C5DE', '#4393C3', '#2166AC', '#053061'] }],
+    ['puor', { type: 'diverging', colorBlindSafe: true, colors: ['#7F3B08', '#B35806', '#E08214', '#FDB863', '#FEE0B6', '#F7F7F7', '#D8DAEB', '#B2ABD2', '#8073AC', '#542788', '#2D004B'] }],
+    ['brbg', { type: 'diverging', colorBlindSafe: true, colors: ['#543005', '#8C510A', '#BF812D', '#DFC27D', '#F6E8C3', '#F5F5F5', '#C7EAE5', '#80CDC1', '#35978F', '#01665E', '#003C30'] }]
+]);
+
+const _warnedPalettes = new Set();
+
+const GOLDEN_ANGLE = 137.508;
+
+function _hexToRgb(hex) {
+    const value = hex.replace('#', '');
+    const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value.slice(0, 6);
+    const int = parseInt(full, 16);
+    return [(int >> 16) & 255, (int >> 8) & 255, int & 255];
+}
+
+function _rgbToHex([r, g, b]) {
+    return `#${[r, g, b].map(c => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function _hslToHex(h, s, l) {
+    const sat = s / 100;
+    const light = l / 100;
+    const k = n => (n + h / 30) % 12;
+    const a = sat * Math.min(light, 1 - light);
+    const f = n => light - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+    return _rgbToHex([f(0) * 255, f(8) * 255, f(4) * 255]);
+}
+
+function _interpolate(colors, t) {
+    const clamped = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0));
+    if (colors.length === 1) {
+        return colors[0];
+    }
+    const position = clamped * (colors.length - 1);
+    const index = Math.min(Math.floor(position), colors.length - 2);
+    const local = position - index;
+    const from = _hexToRgb(colors[index]);
+    const to = _hexToRgb(colors[index + 1]);
+    return _rgbToHex(from.map((c, i) => c + (to[i] - c) * local));
+}
+
+export function _withAlpha(color, alpha) {
+    if (typeof color !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+        return color;
+    }
+    const [r, g, b] = _hexToRgb(color);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+export function _registerPalette(name, colors, options = {}) {
+    if (!Array.isArray(colors) || !colors.length) {
+        throw new Error(`Palette '${name}' needs at least one color.`);
+    }
+    _palettes.set(name, {
+        type: options.type ?? 'categorical',
+        colorBlindSafe: !!options.colorBlindSafe,
+        colors: colors.slice()
+    });
+    _warnedPalettes.delete(name);
+}
+
+export function _getPalette(name) {
+    return _palettes.get(name) ?? null;
+}
+
+export function _paletteNames(filter = {}) {
+    return Array.from(_palettes.entries())
+        .filter(([, palette]) => !filter.type || palette.type === filter.type)
+        .filter(([, palette]) => !filter.colorBlindSafe || palette.colorBlindSafe)
+        .map(([name]) => name);
+}
+
+export function _warnUnknownPalette(name) {
+    if (typeof name !== 'string' || _palettes.has(name) || _warnedPalettes.has(name)) {
+        return;
+    }
+    _warnedPalettes.add(name);
+    console.warn(`Unknown palette '${name}'; falling back to 'okabe-ito'. Register it with Chart.registerPalette().`);
+}
+
+export function _categoricalColors(n, source = 'okabe-ito') {
+    let base = [];
+    if (Array.isArray(source)) {
+        base = source;
+    } else {
+        const palette = _palettes.get(source);
+        if (!palette) {
+            _warnUnknownPalette(source);
+        }
+        base = (palette ?? _palettes.get('okabe-ito')).colors;
+        if (palette && palette.type !== 'categorical') {
+            return Array.from({ length: n }, (_, i) => _interpolate(base, n > 1 ? i / (n - 1) : 0.5));
+        }
+    }
+    if (n <= base.length) {
+        return base.slice(0, n);
+    }
+
+    const hexBase = base.filter(color => /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color));
+    const startHue = hexBase.length ? (() => {
+        const [r, g, b] = _hexToRgb(hexBase[hexBase.length - 1]).map(c => c / 255);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        if (max === min) return 0;
+        const d = max - min;
+        const hue = max === r ? ((g - b) / d) % 6 : (max === g ? (b - r) / d + 2 : (r - g) / d + 4);
+        return (hue * 60 + 360) % 360;
+    })() : 0;
+    const lightness = [50, 65, 38, 58, 44];
+
+    const colors = base.slice();
+    for (let i = 0; colors.length < n; i++) {
+        const hue = (startHue + (i + 1) * GOLDEN_ANGLE) % 360;
+        colors.push(_hslToHex(hue, 68, lightness[i % lightness.length]));
+    }
+    return colors;
+}
+
+export function _colorScale(spec = {}) {
+    const type = spec.type ?? _palettes.get(spec.scheme)?.type ?? 'sequential';
+    const defaultScheme = type === 'diverging' ? 'rdbu' : 'viridis';
+    const palette = Array.isArray(spec.colors) ? { colors: spec.colors } : (_palettes.get(spec.scheme ?? defaultScheme) ?? _palettes.get(defaultScheme));
+    const colors = spec.reverse ? palette.colors.slice().reverse() : palette.colors;
+    const domain = Array.isArray(spec.domain) ? spec.domain : [0, 1];
+    const missing = spec.missing ?? 'rgba(0, 0, 0, 0)';
+
+    if (type === 'diverging') {
+        const [min, mid, max] = domain.length >= 3 ? domain : [domain[0], (domain[0] + domain[1]) / 2, domain[1]];
+        return value => {
+            if (!Number.isFinite(value)) {
+                return missing;
+            }
+            const t = value < mid
+                ? 0.5 * (value - min) / ((mid - min) || 1)
+                : 0.5 + 0.5 * (value - mid) / ((max - mid) || 1);
+            return _interpolate(colors, t);
+        };
+    }
+
+    const [min, max] = domain;
+    const steps = typeof spec.steps === 'number' && spec.steps > 1 ? spec.steps : null;
+    return value => {
+        if (!Number.isFinite(value)) {
+            return missing;
+        }
+        let t = (value - min) / ((max - min) || 1);
+        if (steps) {
+            t = Math.min(steps - 1, Math.floor(Math.max(0, Math.min(1, t)) * steps)) / (steps - 1);
+        }
+        return _interpolate(colors, t);
+    };
+}
+
+export function _valueDomain(values, type) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        if (Number.isFinite(value)) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+    }
+    if (min === Infinity) {
+        return type === 'diverging' ? [-1, 0, 1] : [0, 1];
+    }
+    if (type === 'diverging') {
+        const extent = Math.max(Math.abs(min), Math.abs(max));
+        return [-extent, 0, extent];
+    }
+    return [min, max];
+}
@@ -0,0 +1,117 @@
+import { _Emitter } from './emitter.js';
+import { _loader } from './loader.js';
+
+export const PLUGIN_HOOKS = ['install', 'uninstall', 'beforeNormalize', 'resolveTheme', 'afterBuild', 'afterRender', 'beforeExport'];
+
+const _registeredItems = new Map();
+const _pluginOwners = new Map();
+
+export function _pluginId(plugin) {
+    return plugin?.id ?? plugin?.name;
+}
+
+export function _checkPlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object' || Array.isArray(plugin)) {
+        return 'expected a plugin object with an id';
+    }
+    const id = _pluginId(plugin);
+    if (typeof id !== 'string' || !id) {
+        return 'a plugin needs a non-empty string id';
+    }
+    const hook = PLUGIN_HOOKS.find(name => plugin[name] !== undefined && typeof plugin[name] !== 'function');
+    if (hook) {
+        return `${hook} of plugin '${id}' must be a function`;
+    }
+    if (plugin.register !== undefined && !Array.isArray(plugin.register)) {
+        return `register of plugin '${id}' must be an array of Chart.js registerables`;
+    }
+    if (plugin.src !== undefined && typeof plugin.src !== 'string') {
+        return `src of plugin '${id}' must be a script URL`;
+    }
+    return null;
+}
+
+export function _preparePlugin(plugin) {
+    const ChartJS = _loader.chartJs;
+    if (typeof plugin.src === 'string') {
+        _loader.addPlugin({ name: _pluginId(plugin), src: plugin.src });
+    }
+    if (ChartJS && Array.isArray(plugin.register) && _pluginOwners.has(plugin) && !_registeredItems.has(plugin) && typeof ChartJS.register === 'function') {
+        const items = plugin.register.slice();
+        ChartJS.register(...items);
+        _registeredItems.set(plugin, items);
+    }
+}
+
+export function _retainPlugin(plugin, owner) {
+    if (!_pluginOwners.has(plugin)) {
+        _pluginOwners.set(plugin, new Set());
+    }
+    _pluginOwners.get(plugin).add(owner);
+    _preparePlugin(plugin);
+}
+
+export function _releasePlugin(plugin, owner) {
+    const owners = _pluginOwners.get(plugin);
+    if (!owners || !owners.delete(owner) || owners.size) {
+        return;
+    }
+    _pluginOwners.delete(plugin);
+    const items = _registeredItems.get(plugin);
+    _registeredItems.delete(plugin);
+    const ChartJS = _loader.chartJs;
+    if (!items || !ChartJS || typeof ChartJS.unregister !== 'function') {
+        return;
+    }
+    const shared = new Set(Array.from(_registeredItems.values()).flat());
+    const unused = items.filter(item => !shared.has(item));
+    if (unused.length) {
+        ChartJS.unregister(...unused);
+    }
+}
+
+export class _PluginRegistry extends _Emitter {
+    constructor() {
+        super();
+        this._plugins = new Map();
+    }
+
+    register(plugin) {
+        const problem = _checkPlugin(plugin);
+        if (problem) {
+            throw new Error(`Invalid plugin: ${problem}.`);
+        }
+        const id = _pluginId(plugin);
+        if (this._plugins.get(id) === plugin) {
+            return;
+        }
+        if (this._plugins.has(id)) {
+            this.unregister(id);
+        }
+        this._plugins.set(id, plugin);
+        _retainPlugin(plugin, this);
+        this.emit('change', { plugin, registered: true });
+    }
+
+    unregister(plugin) {
+        const id = typeof plugin === 'string' ? plugin : _pluginId(plugin);
+        const registered = this._plugins.get(id);
+        if (!registered) {
+            return false;
+        }
+        this._plugins.delete(id);
+        _releasePlugin(registered, this);
+        this.emit('change', { plugin: registered, registered: false });
+        return true;
+    }
+
+    get(id) {
+        return this._plugins.get(id) ?? null;
+    }
+
+    list() {
+        return Array.from(this._plugins.values());
+    }
+}
+
+export const _plugins = new _PluginRegistry();
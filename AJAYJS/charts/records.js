@@ -0,0 +1,270 @@
+const AGGREGATIONS = ['count', 'sum', 'mean', 'avg', 'min', 'max', 'distinct', 'values'];
+
+export function _accessor(field) {
+    if (typeof field === 'function') {
+        return field;
+    }
+    if (typeof field !== 'string' || !field) {
+        return () => undefined;
+    }
+    if (!field.includes('.')) {
+        return record => record?.[field];
+    }
+    const path = field.split('.');
+    return record => path.reduce((value, key) => value?.[key], record);
+}
+
+export function _parseValue(text) {
+    const trimmed = text.trim();
+    if (trimmed === '') {
+        return null;
+    }
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed)) {
+        return Number(trimmed);
+    }
+    if (trimmed === 'true' || trimmed === 'false') {
+        return trimmed === 'true';
+    }
+    return text;
+}
+
+export function _parseCSV(text, options = {}) {
+    const delimiter = options.delimiter ?? ',';
+    const typed = options.typed !== false;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = 0;
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    while (i < source.length) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+            i += 1;
+            continue;
+        }
+        if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            if (ch === '\r' && source[i + 1] === '\n') {
+                i += 1;
+            }
+        } else {
+            field += ch;
+        }
+        i += 1;
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.length > 1 || r[0] !== '');
+    if (options.header === false) {
+        return typed ? nonEmpty.map(r => r.map(_parseValue)) : nonEmpty;
+    }
+    const [header = [], ...body] = nonEmpty;
+    const keys = header.map(h => h.trim());
+    return body.map(r => {
+        const record = {};
+        keys.forEach((key, index) => {
+            const raw = r[index] ?? '';
+            record[key] = typed ? _parseValue(raw) : raw;
+        });
+        return record;
+    });
+}
+
+export function _parseRecords(input, format) {
+    if (Array.isArray(input)) {
+        return input;
+    }
+    if (typeof input !== 'string') {
+        if (input && Array.isArray(input.records)) {
+            return input.records;
+        }
+        throw new Error('Records must be an array, a CSV string or a JSON string.');
+    }
+    const resolvedFormat = format ?? (/^\s*[[{]/.test(input) ? 'json' : 'csv');
+    if (resolvedFormat === 'json') {
+        return _parseRecords(JSON.parse(input));
+    }
+    return _parseCSV(input);
+}
+
+function _resolveMeasure(y) {
+    if (y === undefined || y === null || y === 'count') {
+        return { op: 'count', get: null, name: 'count' };
+    }
+    if (typeof y === 'string') {
+        return { op: 'sum', get: _accessor(y), name: y };
+    }
+    const op = AGGREGATIONS.find(name => name in y);
+    if (!op) {
+        throw new Error(`Unknown aggregation in ${JSON.stringify(y)}; expected one of ${AGGREGATIONS.join(', ')}.`);
+    }
+    return {
+        op: op === 'avg' ? 'mean' : op,
+        get: op === 'count' ? null : _accessor(y[op]),
+        name: op === 'count' ? 'count' : (op === 'values' && typeof y[op] === 'string' ? y[op] : `${op} of ${typeof y[op] === 'string' ? y[op] : 'value'}`)
+    };
+}
+
+export function _aggregate(records, measure) {
+    if (measure.op === 'count') {
+        return records.length;
+    }
+    if (measure.op === 'distinct') {
+        return new Set(records.map(measure.get).filter(v => v !== undefined && v !== null)).size;
+    }
+    if (measure.op === 'values') {
+        return records.map(record => Number(measure.get(record))).filter(Number.isFinite);
+    }
+    let sum = 0;
+    let count = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    records.forEach(record => {
+        const value = Number(measure.get(record));
+        if (!Number.isFinite(value)) {
+            return;
+        }
+        sum += value;
+        count += 1;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    });
+    switch (measure.op) {
+        case 'sum':
+            return sum;
+        case 'mean':
+            return count ? sum / count : null;
+        case 'min':
+            return count ? min : null;
+        case 'max':
+            return count ? max : null;
+        default:
+            return null;
+    }
+}
+
+function _sortGroups(groups, sort) {
+    if (!sort || sort === 'none') {
+        return groups;
+    }
+    if (typeof sort === 'function') {
+        return groups.slice().sort(sort);
+    }
+    const descending = sort.startsWith('-');
+    const key = descending ? sort.slice(1) : sort;
+    const compare = key === 'value'
+        ? (a, b) => (a.total ?? -Infinity) - (b.total ?? -Infinity)
+        : (a, b) => String(a.label).localeCompare(String(b.label), undefined, { numeric: true });
+    return groups.slice().sort((a, b) => (descending ? compare(b, a) : compare(a, b)));
+}
+
+export function _aggregateRecords(records, spec = {}) {
+    const getX = _accessor(spec.x);
+    const getSeries = spec.series ? _accessor(spec.series) : null;
+    const measure = _resolveMeasure(spec.y);
+    const source = typeof spec.filter === 'function' ? records.filter(spec.filter) : records;
+
+    const groupMap = new Map();
+    const seriesKeys = [];
+    source.forEach(record => {
+        const label = getX(record) ?? '(blank)';
+        const seriesKey = getSeries ? (getSeries(record) ?? '(blank)') : null;
+        if (!groupMap.has(label)) {
+            groupMap.set(label, { label, records: [], bySeries: new Map() });
+        }
+        const group = groupMap.get(label);
+        group.records.push(record);
+        if (!group.bySeries.has(seriesKey)) {
+            group.bySeries.set(seriesKey, []);
+        }
+        group.bySeries.get(seriesKey).push(record);
+        if (!seriesKeys.includes(seriesKey)) {
+            seriesKeys.push(seriesKey);
+        }
+    });
+
+    if (!getSeries && !seriesKeys.length) {
+        seriesKeys.push(null);
+    }
+
+    let groups = Array.from(groupMap.values());
+    groups.forEach(group => {
+        group.total = measure.op === 'values' ? group.records.length : _aggregate(group.records, measure);
+    });
+
+    const topN = typeof spec.topN === 'number' && spec.topN > 0 ? spec.topN : null;
+    if (topN && groups.length > topN) {
+        const ranked = _sortGroups(groups, '-value');
+        const kept = new Set(ranked.slice(0, topN));
+        const rest = groups.filter(group => !kept.has(group));
+        groups = groups.filter(group => kept.has(group));
+        if (spec.other !== false) {
+            const other = { label: spec.otherLabel ?? 'Other', records: [], bySeries: new Map(), isOther: true };
+            rest.forEach(group => {
+                other.records = other.records.concat(group.records);
+                group.bySeries.forEach((list, key) => {
+                    if (!other.bySeries.has(key)) {
+                        other.bySeries.set(key, []);
+                    }
+                    other.bySeries.set(key, other.bySeries.get(key).concat(list));
+                });
+            });
+            other.members = rest.map(group => group.label);
+            other.total = measure.op === 'values' ? other.records.length : _aggregate(other.records, measure);
+            groups.push(other);
+        }
+    }
+
+    const otherGroup = groups.find(group => group.isOther);
+    groups = _sortGroups(groups.filter(group => !group.isOther), spec.sort);
+    if (otherGroup) {
+        groups.push(otherGroup);
+    }
+
+    const flat = measure.op === 'values' && spec.x === undefined;
+    const missing = { count: 0, sum: 0, distinct: 0, values: [] }[measure.op] ?? null;
+    const datasets = seriesKeys.map(seriesKey => {
+        const data = groups.map(group => {
+            const list = group.bySeries.get(seriesKey);
+            return list ? _aggregate(list, measure) : missing;
+        });
+        return {
+            label: getSeries ? String(seriesKey) : (spec.label ?? (measure.name === 'count' ? 'Count' : measure.name)),
+            data: flat ? (data[0] ?? []) : data
+        };
+    });
+
+    return {
+        labels: flat ? [] : groups.map(group => group.label),
+        datasets,
+        groups: groups.map(group => ({
+            label: group.label,
+            members: group.isOther ? group.members : [group.label],
+            records: group.records,
+            series: seriesKeys.map(key => group.bySeries.get(key) ?? [])
+        }))
+    };
+}
@@ -0,0 +1,211 @@
+export const SCHEMA_VERSION = 1;
+
+const HASH_PREFIX = 'z1.';
+const HASH_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const HASH_SEED = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i));
+
+export function _toPlain(value) {
+    if (typeof value === 'function') {
+        return undefined;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => {
+            const plain = _toPlain(item);
+            return plain === undefined ? null : plain;
+        });
+    }
+    if (ArrayBuffer.isView(value)) {
+        return Array.from(value);
+    }
+    if (value && typeof value === 'object') {
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        const out = {};
+        Object.keys(value).forEach(key => {
+            const plain = _toPlain(value[key]);
+            if (plain !== undefined) {
+                out[key] = plain;
+            }
+        });
+        return out;
+    }
+    return value;
+}
+
+export function _compact(state, keep = []) {
+    const out = {};
+    Object.keys(state).forEach(key => {
+        const value = state[key];
+        const empty = value === null || value === undefined || value === '' || value === false ||
+            (Array.isArray(value) && !value.length) ||
+            (value && typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length);
+        if (!empty || keep.includes(key)) {
+            out[key] = value;
+        }
+    });
+    return out;
+}
+
+export function _parseState(input) {
+    const state = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!state || typeof state !== 'object') {
+        throw new Error('Chart state must be an object or a JSON string.');
+    }
+    if (typeof state.version !== 'number') {
+        throw new Error('Chart state has no schema version.');
+    }
+    if (state.version > SCHEMA_VERSION) {
+        throw new Error(`Chart state version ${state.version} is newer than the supported version ${SCHEMA_VERSION}.`);
+    }
+    return state;
+}
+
+function _bitWidth(value) {
+    return 32 - Math.clz32(value);
+}
+
+function _bitWriter() {
+    const out = [];
+    let value = 0;
+    let filled = 0;
+    return {
+        write(data, bits) {
+            for (let i = bits - 1; i >= 0; i--) {
+                value = (value << 1) | ((data >> i) & 1);
+                filled += 1;
+                if (filled === 6) {
+                    out.push(HASH_ALPHABET[value]);
+                    value = 0;
+                    filled = 0;
+                }
+            }
+        },
+        finish() {
+            if (filled) {
+                out.push(HASH_ALPHABET[value << (6 - filled)]);
+            }
+            return out.join('');
+        }
+    };
+}
+
+function _bitReader(text) {
+    let index = 0;
+    let value = 0;
+    let left = 0;
+    return {
+        read(bits) {
+            let data = 0;
+            for (let i = 0; i < bits; i++) {
+                if (!left) {
+                    value = index < text.length ? HASH_ALPHABET.indexOf(text[index++]) : -1;
+                    if (value < 0) {
+                        throw new Error('Chart state in the URL hash is corrupt.');
+                    }
+                    left = 6;
+                }
+                left -= 1;
+                data = (data << 1) | ((value >> left) & 1);
+            }
+            return data;
+        }
+    };
+}
+
+function _compress(text) {
+    const codes = new Map(HASH_SEED.map((char, i) => [char, i + 3]));
+    const fresh = new Set();
+    const writer = _bitWriter();
+    let next = 3 + HASH_SEED.length;
+    let tokens = 0;
+    let literals = 0;
+    const emit = word => {
+        const width = _bitWidth(2 + HASH_SEED.length + literals + tokens);
+        tokens += 1;
+        if (fresh.delete(word)) {
+            const code = word.charCodeAt(0);
+            literals += 1;
+            writer.write(code < 256 ? 0 : 1, width);
+            writer.write(code, code < 256 ? 8 : 16);
+        } else {
+            writer.write(codes.get(word), width);
+        }
+    };
+    let word = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (!codes.has(char)) {
+            codes.set(char, next++);
+            fresh.add(char);
+        }
+        const joined = word + char;
+        if (codes.has(joined)) {
+            word = joined;
+            continue;
+        }
+        emit(word);
+        codes.set(joined, next++);
+        word = char;
+    }
+    if (word) {
+        emit(word);
+    }
+    writer.write(2, _bitWidth(2 + HASH_SEED.length + literals + tokens));
+    return writer.finish();
+}
+
+function _decompress(text) {
+    const reader = _bitReader(text);
+    const entries = [null, null, null, ...HASH_SEED];
+    const out = [];
+    let previous = null;
+    let tokens = 0;
+    let literals = 0;
+    for (;;) {
+        const code = reader.read(_bitWidth(2 + HASH_SEED.length + literals + tokens));
+        tokens += 1;
+        let entry;
+        if (code === 2) {
+            return out.join('');
+        }
+        if (code < 2) {
+            entry = String.fromCharCode(reader.read(code === 0 ? 8 : 16));
+            entries.push(entry);
+            literals += 1;
+        } else if (code < entries.length) {
+            entry = entries[code];
+        } else if (code === entries.length && previous !== null) {
+            entry = previous + previous[0];
+        } else {
+            throw new Error('Chart state in the URL hash is corrupt.');
+        }
+        out.push(entry);
+        if (previous !== null) {
+            entries.push(previous + entry[0]);
+        }
+        previous = entry;
+    }
+}
+
+export function _encodeState(state) {
+    return HASH_PREFIX + _compress(JSON.stringify(state));
+}
+
+export function _decodeState(encoded) {
+    if (encoded.startsWith(HASH_PREFIX)) {
+        return _parseState(_decompress(encoded.slice(HASH_PREFIX.length)));
+    }
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return _parseState(new TextDecoder().decode(bytes));
+}
+
+export function _readHashParam(hash, key) {
+    const params = new URLSearchParams(String(hash ?? '').replace(/^#/, ''));
+    return params.get(key);
+}
@@ -0,0 +1,218 @@
+const BIN_RULES = ['sturges', 'scott', 'fd', 'freedman-diaconis', 'auto'];
+const MAX_BINS = 1000;
+
+export function _finiteValues(values) {
+    const out = [];
+    if (!values || typeof values.length !== 'number') {
+        return out;
+    }
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            out.push(value);
+        }
+    }
+    return out;
+}
+
+export function _quantile(sorted, p) {
+    if (!sorted.length) {
+        return null;
+    }
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function _mean(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+    }
+    return values.length ? sum / values.length : null;
+}
+
+function _deviation(values, mean) {
+    if (values.length < 2) {
+        return 0;
+    }
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += (values[i] - mean) ** 2;
+    }
+    return Math.sqrt(sum / (values.length - 1));
+}
+
+function _ruleBinCount(rule, sorted, min, max) {
+    const n = sorted.length;
+    const sturges = Math.ceil(Math.log2(n)) + 1;
+    if (rule === 'sturges' || max === min) {
+        return sturges;
+    }
+    let width;
+    if (rule === 'scott') {
+        width = 3.49 * _deviation(sorted, _mean(sorted)) * Math.cbrt(1 / n);
+    } else {
+        width = 2 * (_quantile(sorted, 0.75) - _quantile(sorted, 0.25)) * Math.cbrt(1 / n);
+    }
+    const count = width > 0 ? Math.ceil((max - min) / width) : sturges;
+    return rule === 'auto' ? Math.max(count, sturges) : count;
+}
+
+export function _binEdges(values, options = {}) {
+    if (Array.isArray(options.binEdges) && options.binEdges.length >= 2) {
+        return _finiteValues(options.binEdges).sort((a, b) => a - b);
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+
+    let count = 10;
+    if (typeof options.bins === 'number' && options.bins > 0) {
+        count = Math.floor(options.bins);
+    } else if (typeof options.bins === 'string') {
+        if (!BIN_RULES.includes(options.bins)) {
+            throw new Error(`Unknown bin rule '${options.bins}'; expected one of ${BIN_RULES.join(', ')}.`);
+        }
+        count = _ruleBinCount(options.bins, sorted, min, max);
+    }
+    count = Math.max(1, Math.min(count, MAX_BINS));
+
+    if (min === max) {
+        return [min - 0.5, max + 0.5];
+    }
+    const width = (max - min) / count;
+    const edges = [];
+    for (let i = 0; i < count; i++) {
+        edges.push(min + i * width);
+    }
+    edges.push(max);
+    return edges;
+}
+
+function _binIndex(edges, value) {
+    const last = edges.length - 1;
+    if (value < edges[0] || value > edges[last]) {
+        return -1;
+    }
+    if (value === edges[last]) {
+        return last - 1;
+    }
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (value >= edges[mid]) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+export function _histogram(input, options = {}) {
+    const values = _finiteValues(input);
+    if (!values.length) {
+        return { edges: [], counts: [], values: [], total: 0, excluded: 0 };
+    }
+    const edges = _binEdges(values, options);
+    const counts = new Array(Math.max(0, edges.length - 1)).fill(0);
+    let total = 0;
+    for (let i = 0; i < values.length; i++) {
+        const index = _binIndex(edges, values[i]);
+        if (index >= 0) {
+            counts[index] += 1;
+            total += 1;
+        }
+    }
+
+    const normalize = options.normalize ?? 'count';
+    let result = counts.map((count, i) => {
+        if (normalize === 'density') {
+            return total ? count / (total * (edges[i + 1] - edges[i])) : 0;
+        }
+        if (normalize === 'percent') {
+            return total ? (count / total) * 100 : 0;
+        }
+        return count;
+    });
+    if (options.cumulative) {
+        let running = 0;
+        result = counts.map(count => {
+            running += count;
+            if (normalize === 'density') return total ? running / total : 0;
+            if (normalize === 'percent') return total ? (running / total) * 100 : 0;
+            return running;
+        });
+    }
+
+    return { edges, counts, values: result, total, excluded: values.length - total };
+}
+
+export function _kde(input, points, options = {}) {
+    const values = _finiteValues(input);
+    if (!values.length) {
+        return points.map(() => 0);
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    let bandwidth = options.bandwidth;
+    if (typeof bandwidth !== 'number' || bandwidth <= 0) {
+        const sigma = _deviation(sorted, _mean(sorted));
+        const iqr = (_quantile(sorted, 0.75) - _quantile(sorted, 0.25)) / 1.34;
+        const spread = Math.min(sigma, iqr) || sigma || iqr || 1;
+        bandwidth = 0.9 * spread * Math.pow(sorted.length, -0.2);
+    }
+    const norm = 1 / (sorted.length * bandwidth * Math.sqrt(2 * Math.PI));
+    const reach = bandwidth * 4;
+    return points.map(point => {
+        let sum = 0;
+        for (let i = 0; i < sorted.length; i++) {
+            const offset = sorted[i] - point;
+            if (offset < -reach) continue;
+            if (offset > reach) break;
+            const u = offset / bandwidth;
+            sum += Math.exp(-0.5 * u * u);
+        }
+        return sum * norm;
+    });
+}
+
+export function _boxplotStats(input, options = {}) {
+    const sorted = _finiteValues(input).sort((a, b) => a - b);
+    if (!sorted.length) {
+        return null;
+    }
+    const coef = typeof options.coef === 'number' ? options.coef : 1.5;
+    const q1 = _quantile(sorted, 0.25);
+    const median = _quantile(sorted, 0.5);
+    const q3 = _quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    const lowFence = coef > 0 ? q1 - coef * iqr : -Infinity;
+    const highFence = coef > 0 ? q3 + coef * iqr : Infinity;
+
+    let min = Infinity;
+    let max = -Infinity;
+    const outliers = [];
+    for (let i = 0; i < sorted.length; i++) {
+        const value = sorted[i];
+        if (value < lowFence || value > highFence) {
+            outliers.push(value);
+        } else {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+    }
+
+    return {
+        min: Math.min(min, q1),
+        q1,
+        median,
+        q3,
+        max: Math.max(max, q3),
+        mean: _mean(sorted),
+        count: sorted.length,
+        outliers
+    };
+}
@@ -0,0 +1,145 @@
+import { _isElement } from './env.js';
+
+const DEFAULT_FONT = { family: 'Arial, sans-serif', size: 12, titleSize: 20, legendSize: 13, axisTitleSize: 14 };
+
+const _themes = new Map([
+    ['dark', {
+        mode: 'dark',
+        background: '#1e1e2f',
+        text: '#ffffff',
+        tick: '#dddddd',
+        grid: 'rgba(51, 51, 51, 0.7)',
+        axisLabel: '#aaaaaa',
+        tooltip: { background: 'rgba(50,50,60,0.9)', border: '#444', text: '#ffffff' },
+        font: DEFAULT_FONT,
+        palette: [
+            '#ff4d4d', '#ffaa4d', '#4dff88', '#4d94ff', '#c44dff',
+            '#ff4dc4', '#4dffef', '#ffd24d', '#8aff4d', '#ff8f4d'
+        ]
+    }],
+    ['light', {
+        mode: 'light',
+        background: '#ffffff',
+        text: '#222222',
+        tick: '#333333',
+        grid: 'rgba(224, 224, 224, 0.7)',
+        axisLabel: '#555555',
+        tooltip: { background: 'rgba(255,255,255,0.9)', border: '#ccc', text: '#222222' },
+        font: DEFAULT_FONT,
+        palette: [
+            '#e63946', '#f1faee', '#a8dadc', '#457b9d', '#1d3557',
+            '#ffb703', '#fb8500', '#023047', '#8ecae6', '#219ebc'
+        ]
+    }],
+    ['high-contrast', {
+        mode: 'dark',
+        background: '#000000',
+        text: '#ffffff',
+        tick: '#ffffff',
+        grid: 'rgba(255, 255, 255, 0.45)',
+        axisLabel: '#ffffff',
+        tooltip: { background: '#000000', border: '#ffffff', text: '#ffffff' },
+        font: { ...DEFAULT_FONT, size: 14, legendSize: 15, axisTitleSize: 16 },
+        palette: ['#ffff00', '#00ffff', '#ff00ff', '#00ff00', '#ffffff', '#ff8c00', '#1e90ff', '#ff69b4']
+    }]
+]);
+
+const AUTO_QUERY = '(prefers-color-scheme: dark)';
+
+export function _registerTheme(name, tokens = {}) {
+    if (!name || name === 'auto') {
+        throw new Error(`Invalid theme name '${name}'.`);
+    }
+    const base = _themes.get(tokens.extends ?? (tokens.mode === 'light' ? 'light' : 'dark')) ?? _themes.get('dark');
+    const own = { ...tokens };
+    delete own.extends;
+    _themes.set(name, {
+        ...base,
+        ...own,
+        tooltip: { ...base.tooltip, ...(own.tooltip ?? {}) },
+        font: { ...base.font, ...(own.font ?? {}) },
+        palette: typeof own.palette === 'string' || (Array.isArray(own.palette) && own.palette.length)
+            ? (Array.isArray(own.palette) ? own.palette.slice() : own.palette)
+            : base.palette
+    });
+}
+
+export function _unregisterTheme(name) {
+    if (['dark', 'light'].includes(name)) {
+        return false;
+    }
+    return _themes.delete(name);
+}
+
+export function _themeNames() {
+    return Array.from(_themes.keys());
+}
+
+export function _hasTheme(name) {
+    return name === 'auto' || _themes.has(name);
+}
+
+export function _prefersDark() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+        ? window.matchMedia(AUTO_QUERY).matches
+        : false;
+}
+
+export function _watchColorScheme(callback) {
+    if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+        return () => {};
+    }
+    const query = window.matchMedia(AUTO_QUERY);
+    const listener = () => callback(query.matches);
+    if (typeof query.addEventListener === 'function') {
+        query.addEventListener('change', listener);
+        return () => query.removeEventListener('change', listener);
+    }
+    query.addListener(listener);
+    return () => query.removeListener(listener);
+}
+
+export function _resolveThemeName(name, auto = {}) {
+    if (name === 'auto') {
+        return _prefersDark() ? (auto.dark ?? 'dark') : (auto.light ?? 'light');
+    }
+    return _themes.has(name) ? name : 'dark';
+}
+
+export function _themeMode(name, auto) {
+    return _themes.get(_resolveThemeName(name, auto))?.mode ?? 'dark';
+}
+
+function _resolveValue(value, style) {
+    if (typeof value !== 'string' || !value.includes('var(')) {
+        return value;
+    }
+    return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]*))?\)/g, (match, prop, fallback) => {
+        const resolved = style ? style.getPropertyValue(prop).trim() : '';
+        return resolved || (fallback ?? '').trim();
+    });
+}
+
+function _resolveTokens(value, style) {
+    if (Array.isArray(value)) {
+        return value.map(item => _resolveTokens(item, style));
+    }
+    if (value && typeof value === 'object') {
+        const out = {};
+        Object.keys(value).forEach(key => {
+            out[key] = _resolveTokens(value[key], style);
+        });
+        return out;
+    }
+    return _resolveValue(value, style);
+}
+
+export function _resolveTheme(name, element = null, auto = {}) {
+    const resolvedName = _resolveThemeName(name, auto);
+    const tokens = _themes.get(resolvedName);
+    let style = null;
+    if (_isElement(element) && typeof getComputedStyle === 'function' && JSON.stringify(tokens).includes('var(')) {
+        style = getComputedStyle(element);
+    }
+    return { name: resolvedName, ..._resolveTokens(tokens, style) };
+}
@@ -0,0 +1,426 @@
+export const TIME_UNITS = ['millisecond', 'second', 'minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+const UNIT_MS = {
+    millisecond: 1,
+    second: 1000,
+    minute: 60000,
+    hour: 3600000,
+    day: 86400000,
+    week: 604800000,
+    month: 2629746000,
+    quarter: 7889238000,
+    year: 31556952000
+};
+
+const RESAMPLE_AGGREGATIONS = ['sum', 'count', 'mean', 'min', 'max'];
+const MAX_BUCKETS = 100000;
+const BLOCK_MS = 900000;
+const ISO_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,3})\d*)?)?)?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+const DISPLAY_FORMATS = {
+    datetime: 'MMM d, yyyy, h:mm:ss a',
+    millisecond: 'h:mm:ss.SSS a',
+    second: 'h:mm:ss a',
+    minute: 'h:mm a',
+    hour: 'h a',
+    day: 'MMM d',
+    week: 'MMM d',
+    month: 'MMM yyyy',
+    quarter: "'Q'q yyyy",
+    year: 'yyyy'
+};
+
+const TOOLTIP_FORMATS = {
+    millisecond: 'MMM d, yyyy, h:mm:ss.SSS a',
+    second: 'MMM d, yyyy, h:mm:ss a',
+    minute: 'MMM d, yyyy, h:mm a',
+    hour: 'MMM d, yyyy, h a',
+    day: 'EEE, MMM d, yyyy',
+    week: "'Week of' MMM d, yyyy",
+    month: 'MMMM yyyy',
+    quarter: "'Q'q yyyy",
+    year: 'yyyy'
+};
+
+const _partFormatters = new Map();
+const _offsetCache = new Map();
+const _nameCache = new Map();
+
+function _partFormatter(timeZone) {
+    if (!_partFormatters.has(timeZone)) {
+        _partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return _partFormatters.get(timeZone);
+}
+
+function _cached(key, compute) {
+    let value = _offsetCache.get(key);
+    if (value === undefined) {
+        if (_offsetCache.size > 50000) {
+            _offsetCache.clear();
+        }
+        value = compute();
+        _offsetCache.set(key, value);
+    }
+    return value;
+}
+
+function _blockOffset(block, timeZone) {
+    return _cached(`${timeZone}|${block}`, () => {
+        const ts = block * BLOCK_MS;
+        const p = {};
+        _partFormatter(timeZone).formatToParts(new Date(ts)).forEach(part => {
+            if (part.type !== 'literal') {
+                p[part.type] = Number(part.value);
+            }
+        });
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ts;
+    });
+}
+
+function _zoneOffset(ts, timeZone) {
+    const day = Math.floor(ts / UNIT_MS.day);
+    const steady = _cached(`${timeZone}|d${day}`, () => {
+        const perDay = UNIT_MS.day / BLOCK_MS;
+        const start = _blockOffset(day * perDay, timeZone);
+        return start === _blockOffset((day + 1) * perDay, timeZone) ? start : null;
+    });
+    return steady !== null ? steady : _blockOffset(Math.floor(ts / BLOCK_MS), timeZone);
+}
+
+export function _zonedParts(ts, timeZone) {
+    const date = new Date(ts);
+    if (!timeZone) {
+        return {
+            year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+            hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(),
+            millisecond: date.getMilliseconds(), weekday: date.getDay()
+        };
+    }
+    if (timeZone !== 'UTC') {
+        date.setTime(ts + _zoneOffset(ts, timeZone));
+    }
+    return {
+        year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+        hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds(),
+        millisecond: date.getUTCMilliseconds(), weekday: date.getUTCDay()
+    };
+}
+
+export function _fromZoned(parts, timeZone) {
+    const { year, month = 1, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 } = parts;
+    if (!timeZone) {
+        const date = new Date(year, month - 1, day, hour, minute, second, millisecond);
+        if (year < 100) {
+            date.setFullYear(year);
+        }
+        return date.getTime();
+    }
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    if (timeZone === 'UTC') {
+        return wall;
+    }
+    let ts = wall - _zoneOffset(wall, timeZone);
+    const offset = _zoneOffset(ts, timeZone);
+    if (wall - offset !== ts) {
+        ts = wall - offset;
+    }
+    return ts;
+}
+
+export function _parseTime(value, timeZone) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (value instanceof Date) {
+        const ts = value.getTime();
+        return Number.isNaN(ts) ? null : ts;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const match = ISO_PATTERN.exec(value.trim());
+    if (!match) {
+        const ts = Date.parse(value);
+        return Number.isNaN(ts) ? null : ts;
+    }
+    const [, year, month, day, hour, minute, second, fraction, zone] = match;
+    const parts = {
+        year: Number(year),
+        month: month ? Number(month) : 1,
+        day: day ? Number(day) : 1,
+        hour: hour ? Number(hour) : 0,
+        minute: minute ? Number(minute) : 0,
+        second: second ? Number(second) : 0,
+        millisecond: fraction ? Number(fraction.padEnd(3, '0')) : 0
+    };
+    if (!zone) {
+        return _fromZoned(parts, timeZone);
+    }
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+    if (zone.toUpperCase() === 'Z') {
+        return wall;
+    }
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    return wall - sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2) || 0)) * 60000;
+}
+
+export function _startOf(ts, unit, timeZone, weekStart = 1) {
+    if (unit === 'millisecond') {
+        return ts;
+    }
+    const p = _zonedParts(ts, timeZone);
+    switch (unit) {
+        case 'second':
+            return _fromZoned({ ...p, millisecond: 0 }, timeZone);
+        case 'minute':
+            return _fromZoned({ ...p, second: 0, millisecond: 0 }, timeZone);
+        case 'hour':
+            return _fromZoned({ ...p, minute: 0, second: 0, millisecond: 0 }, timeZone);
+        case 'day':
+            return _fromZoned({ year: p.year, month: p.month, day: p.day }, timeZone);
+        case 'week':
+        case 'isoWeek':
+            return _fromZoned({ year: p.year, month: p.month, day: p.day - ((p.weekday - weekStart + 7) % 7) }, timeZone);
+        case 'month':
+            return _fromZoned({ year: p.year, month: p.month }, timeZone);
+        case 'quarter':
+            return _fromZoned({ year: p.year, month: Math.floor((p.month - 1) / 3) * 3 + 1 }, timeZone);
+        case 'year':
+            return _fromZoned({ year: p.year }, timeZone);
+        default:
+            throw new Error(`Unknown time unit '${unit}'; expected one of ${TIME_UNITS.join(', ')}.`);
+    }
+}
+
+export function _addTime(ts, amount, unit, timeZone) {
+    if (['millisecond', 'second', 'minute', 'hour'].includes(unit)) {
+        return ts + amount * UNIT_MS[unit];
+    }
+    const p = _zonedParts(ts, timeZone);
+    if (unit === 'day' || unit === 'week') {
+        return _fromZoned({ ...p, day: p.day + amount * (unit === 'week' ? 7 : 1) }, timeZone);
+    }
+    const months = amount * (unit === 'year' ? 12 : (unit === 'quarter' ? 3 : 1));
+    const target = p.year * 12 + (p.month - 1) + months;
+    const year = Math.floor(target / 12);
+    const month = target - year * 12 + 1;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return _fromZoned({ ...p, year, month, day: Math.min(p.day, lastDay) }, timeZone);
+}
+
+export function _diffTime(max, min, unit, timeZone) {
+    if (['millisecond', 'second', 'minute', 'hour', 'day', 'week'].includes(unit)) {
+        return Math.trunc((max - min) / UNIT_MS[unit]);
+    }
+    const a = _zonedParts(max, timeZone);
+    const b = _zonedParts(min, timeZone);
+    let months = (a.year - b.year) * 12 + (a.month - b.month);
+    const rest = x => (((x.day * 24 + x.hour) * 60 + x.minute) * 60 + x.second) * 1000 + x.millisecond;
+    if (months > 0 && rest(a) < rest(b)) {
+        months -= 1;
+    } else if (months < 0 && rest(a) > rest(b)) {
+        months += 1;
+    }
+    if (unit === 'quarter') {
+        return Math.trunc(months / 3);
+    }
+    return unit === 'year' ? Math.trunc(months / 12) : months;
+}
+
+export function _autoUnit(min, max) {
+    const span = max - min;
+    if (span <= 3 * UNIT_MS.day) {
+        return 'hour';
+    }
+    if (span <= 62 * UNIT_MS.day) {
+        return 'day';
+    }
+    if (span <= 26 * UNIT_MS.week) {
+        return 'week';
+    }
+    if (span <= 5 * UNIT_MS.year) {
+        return 'month';
+    }
+    return 'year';
+}
+
+export function _exportFormat(unit) {
+    if (['year', 'quarter', 'month'].includes(unit)) {
+        return 'yyyy-MM';
+    }
+    return unit === 'week' || unit === 'day' ? 'yyyy-MM-dd' : 'yyyy-MM-dd HH:mm:ss';
+}
+
+export function _tooltipFormat(unit) {
+    return TOOLTIP_FORMATS[unit] ?? DISPLAY_FORMATS.datetime;
+}
+
+function _names(locale, kind, width) {
+    const key = `${locale ?? ''}|${kind}|${width}`;
+    if (!_nameCache.has(key)) {
+        const formatter = new Intl.DateTimeFormat(locale, { [kind]: width, timeZone: 'UTC' });
+        _nameCache.set(key, kind === 'month'
+            ? Array.from({ length: 12 }, (v, i) => formatter.format(Date.UTC(2001, i, 1)))
+            : Array.from({ length: 7 }, (v, i) => formatter.format(Date.UTC(2001, 0, 7 + i))));
+    }
+    return _nameCache.get(key);
+}
+
+const TOKEN_PATTERN = /'[^']*'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|SSS|a|q/g;
+
+export function _formatTime(ts, pattern, timeZone, locale) {
+    const p = _zonedParts(ts, timeZone);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hour12 = p.hour % 12 || 12;
+    return String(pattern ?? DISPLAY_FORMATS.datetime).replace(TOKEN_PATTERN, token => {
+        switch (token) {
+            case 'yyyy': return String(p.year);
+            case 'yy': return pad(p.year % 100);
+            case 'MMMM': return _names(locale, 'month', 'long')[p.month - 1];
+            case 'MMM': return _names(locale, 'month', 'short')[p.month - 1];
+            case 'MM': return pad(p.month);
+            case 'M': return String(p.month);
+            case 'dd': return pad(p.day);
+            case 'd': return String(p.day);
+            case 'EEEE': return _names(locale, 'weekday', 'long')[p.weekday];
+            case 'EEE': return _names(locale, 'weekday', 'short')[p.weekday];
+            case 'HH': return pad(p.hour);
+            case 'H': return String(p.hour);
+            case 'hh': return pad(hour12);
+            case 'h': return String(hour12);
+            case 'mm': return pad(p.minute);
+            case 'ss': return pad(p.second);
+            case 'SSS': return pad(p.millisecond, 3);
+            case 'a': return p.hour < 12 ? 'AM' : 'PM';
+            case 'q': return String(Math.floor((p.month - 1) / 3) + 1);
+            default: return token.slice(1, -1);
+        }
+    });
+}
+
+function _eventOf(item) {
+    if (Array.isArray(item)) {
+        return { time: item[0], value: item.length > 1 ? item[1] : 1 };
+    }
+    if (item && typeof item === 'object' && !(item instanceof Date)) {
+        return { time: item.x ?? item.t ?? item.time ?? item.date, value: item.y ?? item.value ?? item.v ?? 1 };
+    }
+    return { time: item, value: 1 };
+}
+
+export function _resample(input, spec = {}) {
+    const every = spec.every ?? 'day';
+    if (!TIME_UNITS.includes(every) || every === 'millisecond') {
+        throw new Error(`Unknown resample interval '${every}'; expected one of ${TIME_UNITS.slice(1).join(', ')}.`);
+    }
+    const agg = spec.agg ?? 'sum';
+    if (!RESAMPLE_AGGREGATIONS.includes(agg)) {
+        throw new Error(`Unknown resample aggregation '${agg}'; expected one of ${RESAMPLE_AGGREGATIONS.join(', ')}.`);
+    }
+    const timeZone = spec.timeZone;
+    const weekStart = spec.weekStart ?? 1;
+    const buckets = new Map();
+    let first = Infinity;
+    let last = -Infinity;
+
+    (input ?? []).forEach(item => {
+        const event = _eventOf(item);
+        const time = _parseTime(event.time, timeZone);
+        const value = typeof event.value === 'number' ? event.value : Number(event.value);
+        if (time === null || (agg !== 'count' && !Number.isFinite(value))) {
+            return;
+        }
+        const start = _startOf(time, every, timeZone, weekStart);
+        first = Math.min(first, start);
+        last = Math.max(last, start);
+        let bucket = buckets.get(start);
+        if (!bucket) {
+            bucket = { sum: 0, count: 0, min: Infinity, max: -Infinity };
+            buckets.set(start, bucket);
+        }
+        bucket.count += 1;
+        if (agg !== 'count') {
+            bucket.sum += value;
+            bucket.min = Math.min(bucket.min, value);
+            bucket.max = Math.max(bucket.max, value);
+        }
+    });
+
+    const from = spec.from !== undefined ? _parseTime(spec.from, timeZone) : null;
+    const to = spec.to !== undefined ? _parseTime(spec.to, timeZone) : null;
+    const start = from !== null ? _startOf(from, every, timeZone, weekStart) : first;
+    const end = to !== null ? _startOf(to, every, timeZone, weekStart) : last;
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+        return [];
+    }
+    const fill = spec.fill !== undefined ? spec.fill : (agg === 'sum' || agg === 'count' ? 0 : null);
+
+    const out = [];
+    for (let time = start; time <= end; time = _addTime(time, 1, every, timeZone)) {
+        if (out.length >= MAX_BUCKETS) {
+            throw new Error(`Resampling by '${every}' produces more than ${MAX_BUCKETS} buckets; use a coarser interval.`);
+        }
+        const bucket = buckets.get(time);
+        let value = fill;
+        if (bucket) {
+            value = agg === 'count' ? bucket.count
+                : agg === 'sum' ? bucket.sum
+                    : agg === 'mean' ? bucket.sum / bucket.count
+                        : bucket[agg];
+        }
+        out.push({ x: time, y: value });
+    }
+    return out;
+}
+
+function _hasDateAdapter(adapters) {
+    try {
+        new adapters._date({}).formats();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+export function _registerDateAdapter(adapters) {
+    if (!adapters?._date || _hasDateAdapter(adapters)) {
+        return;
+    }
+    adapters._date.override({
+        _id: 'ajay',
+        formats() {
+            return { ...DISPLAY_FORMATS };
+        },
+        parse(value) {
+            return value === null || value === undefined ? null : _parseTime(value, this.options.timeZone);
+        },
+        format(time, format) {
+            return _formatTime(time, format, this.options.timeZone, this.options.locale);
+        },
+        add(time, amount, unit) {
+            return _addTime(time, amount, unit, this.options.timeZone);
+        },
+        diff(max, min, unit) {
+            return _diffTime(max, min, unit, this.options.timeZone);
+        },
+        startOf(time, unit, weekday) {
+            const weekStart = unit === 'isoWeek' ? Number(weekday) || 1 : (this.options.weekStart ?? 0);
+            return _startOf(time, unit, this.options.timeZone, weekStart);
+        },
+        endOf(time, unit) {
+            const start = _startOf(time, unit, this.options.timeZone, this.options.weekStart ?? 0);
+            return _addTime(start, 1, unit === 'isoWeek' ? 'week' : unit, this.options.timeZone) - 1;
+        }
+    });
+}
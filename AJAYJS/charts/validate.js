@@ -0,0 +1,453 @@
+import { ANNOTATION_TYPES } from './annotations.js';
+import { TIME_UNITS } from './time.js';
+import { _checkFormat } from './format.js';
+import { _checkPlugin } from './plugins.js';
+
+const BUILT_IN_TYPES = [
+    'line', 'bar', 'scatter', 'pie', 'doughnut', 'area', 'bubble', 'radar', 'polararea',
+    'heatmap', 'treemap', 'candlestick', 'ohlc', 'boxplot', 'histogram', 'funnel', 'sankey', 'gauge'
+];
+
+const LABELED_TYPES = ['line', 'bar', 'area', 'radar', 'pie', 'doughnut', 'polararea', 'funnel', 'boxplot'];
+
+const TYPED_ARRAY_TYPES = ['line', 'bar', 'area', 'radar', 'pie', 'doughnut', 'polararea', 'funnel', 'histogram'];
+
+const FIELD_TYPES = {
+    titleText: 'string',
+    theme: 'string',
+    ariaLabel: 'string',
+    enableDataLabels: 'boolean',
+    strict: 'boolean',
+    rtl: 'boolean',
+    autoDestroy: 'boolean',
+    onClick: 'function',
+    onHover: 'function',
+    options: 'object',
+    autoTheme: 'object',
+    pluginOptions: 'object',
+    tooltipCallbacks: 'object',
+    legendCallbacks: 'object'
+};
+
+const TIME_AXIS_TYPES = ['line', 'area', 'bar', 'scatter', 'bubble'];
+const MIXED_TYPES = ['line', 'area', 'bar', 'scatter', 'bubble'];
+const RESAMPLE_AGGREGATIONS = ['sum', 'count', 'mean', 'min', 'max'];
+const MAX_ISSUES = 20;
+
+export class _ValidationError extends Error {
+    constructor(issues) {
+        super(_formatIssues(issues));
+        this.name = 'ValidationError';
+        this.issues = issues;
+    }
+}
+
+export function _formatIssues(issues) {
+    const lines = issues.slice(0, MAX_ISSUES).map(issue => `  ${issue.path}: ${issue.message}`);
+    if (issues.length > MAX_ISSUES) {
+        lines.push(`  ...and ${issues.length - MAX_ISSUES} more`);
+    }
+    return `Invalid chart config (${issues.length} problem${issues.length === 1 ? '' : 's'}):\n${lines.join('\n')}`;
+}
+
+export function _describe(value) {
+    if (typeof value === 'string') {
+        return JSON.stringify(value.length > 30 ? `${value.slice(0, 27)}...` : value);
+    }
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    if (ArrayBuffer.isView(value)) {
+        return `a ${value.constructor.name}`;
+    }
+    if (value && typeof value === 'object') {
+        return 'an object';
+    }
+    return String(value);
+}
+
+function _isNumeric(value) {
+    return (typeof value === 'number' && !Number.isNaN(value)) ||
+        (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+}
+
+function _isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function _expect(issues, path, expected, value) {
+    issues.push({ path, message: `expected ${expected}, got ${_describe(value)}` });
+}
+
+function _checkKeys(issues, path, item, keys, optional = []) {
+    if (!_isObject(item)) {
+        _expect(issues, path, `an object with ${keys.concat(optional).join(', ')}`, item);
+        return;
+    }
+    keys.forEach(key => {
+        if (item[key] === undefined) {
+            issues.push({ path: `${path}.${key}`, message: 'is missing' });
+        }
+    });
+    optional.concat(keys).forEach(key => {
+        if (item[key] !== undefined && item[key] !== null && !_isNumeric(item[key]) && !(key === 'x' || key === 'y')) {
+            _expect(issues, `${path}.${key}`, 'number', item[key]);
+        }
+    });
+}
+
+function _checkItem(issues, path, item, type, context) {
+    switch (type) {
+        case 'candlestick':
+        case 'ohlc':
+            _checkKeys(issues, path, item, ['x', 'o', 'h', 'l', 'c']);
+            if (_isObject(item) && _isNumeric(item.h) && _isNumeric(item.l) && Number(item.h) < Number(item.l)) {
+                issues.push({ path, message: `high (${item.h}) is below low (${item.l})` });
+            }
+            return;
+        case 'heatmap':
+            _checkKeys(issues, path, item, ['x', 'y', 'v']);
+            return;
+        case 'sankey':
+            if (!_isObject(item)) {
+                _expect(issues, path, 'an object with from, to, flow', item);
+                return;
+            }
+            ['from', 'to', 'flow'].forEach(key => {
+                if (item[key] === undefined) {
+                    issues.push({ path: `${path}.${key}`, message: 'is missing' });
+                }
+            });
+            if (item.flow !== undefined && !(_isNumeric(item.flow) && Number(item.flow) >= 0)) {
+                _expect(issues, `${path}.flow`, 'a number >= 0', item.flow);
+            }
+            return;
+        case 'scatter':
+            if (item !== null && !_isNumeric(item)) {
+                _checkKeys(issues, path, item, ['x', 'y']);
+            }
+            return;
+        case 'bubble':
+            _checkKeys(issues, path, item, ['x', 'y'], ['r']);
+            return;
+        case 'boxplot':
+            if (Array.isArray(item) || ArrayBuffer.isView(item)) {
+                for (let i = 0; i < item.length; i++) {
+                    if (item[i] !== null && !_isNumeric(item[i])) {
+                        _expect(issues, `${path}[${i}]`, 'number', item[i]);
+                        return;
+                    }
+                }
+            } else if (item !== null) {
+                _checkKeys(issues, path, item, ['min', 'q1', 'median', 'q3', 'max']);
+            }
+            return;
+        case 'histogram':
+            if (item !== null && typeof item !== 'number') {
+                _expect(issues, path, 'number', item);
+            }
+            return;
+        case 'treemap':
+            return;
+        default:
+            if (item === null || _isNumeric(item)) {
+                return;
+            }
+            if (context.time && Array.isArray(item) && item.length === 2) {
+                if (item[1] !== null && !_isNumeric(item[1])) {
+                    _expect(issues, `${path}[1]`, 'number', item[1]);
+                }
+                return;
+            }
+            if (_isObject(item) && ['bar', 'line', 'area'].includes(type)) {
+                if (item.y !== undefined && item.y !== null && !_isNumeric(item.y) && !Array.isArray(item.y)) {
+                    _expect(issues, `${path}.y`, 'number', item.y);
+                }
+                return;
+            }
+            if (Array.isArray(item) && type === 'bar' && item.length === 2 && item.every(_isNumeric)) {
+                return;
+            }
+            _expect(issues, path, 'number', item);
+    }
+}
+
+function _isKnownType(type) {
+    return BUILT_IN_TYPES.includes(String(type).toLowerCase());
+}
+
+export function _usesTimeAxis(config, type) {
+    return TIME_AXIS_TYPES.includes(String(type).toLowerCase()) && config.timeAxis !== false &&
+        (!!config.timeAxis || !!config.resample || (Array.isArray(config.datasets) && config.datasets.some(ds => ds && ds.resample)));
+}
+
+export function _validateResample(spec, path, issues = []) {
+    if (!_isObject(spec)) {
+        _expect(issues, path, 'an object', spec);
+        return issues;
+    }
+    if (spec.every !== undefined && (!TIME_UNITS.includes(spec.every) || spec.every === 'millisecond')) {
+        _expect(issues, `${path}.every`, `one of ${TIME_UNITS.slice(1).join(', ')}`, spec.every);
+    }
+    if (spec.agg !== undefined && !RESAMPLE_AGGREGATIONS.includes(spec.agg)) {
+        _expect(issues, `${path}.agg`, `one of ${RESAMPLE_AGGREGATIONS.join(', ')}`, spec.agg);
+    }
+    return issues;
+}
+
+export function _validateLocale(locale, path, issues = []) {
+    if (locale === undefined) {
+        return issues;
+    }
+    if (typeof locale !== 'string' || !locale) {
+        _expect(issues, path, 'a locale tag such as "en-IN"', locale);
+        return issues;
+    }
+    try {
+        Intl.getCanonicalLocales(locale);
+    } catch (error) {
+        issues.push({ path, message: `${_describe(locale)} is not a valid locale tag` });
+    }
+    return issues;
+}
+
+export function _validateFormat(format, path, locale, issues = []) {
+    if (format === undefined) {
+        return issues;
+    }
+    const usable = typeof locale === 'string' && !_validateLocale(locale, path).length ? locale : undefined;
+    const message = _checkFormat(format, usable);
+    if (message) {
+        issues.push({ path, message });
+    }
+    return issues;
+}
+
+export function _validateData(data, path, type, labels, issues = [], context = {}) {
+    const lowerType = String(type).toLowerCase();
+    if (data === undefined || context.resampled) {
+        return issues;
+    }
+    const typed = ArrayBuffer.isView(data) && TYPED_ARRAY_TYPES.includes(lowerType);
+    if (!Array.isArray(data) && !typed) {
+        _expect(issues, path, 'an array', data);
+        return issues;
+    }
+    if (lowerType === 'gauge') {
+        if (!data.length || !_isNumeric(data[0])) {
+            _expect(issues, path, '[value, max]', data.length ? data[0] : data);
+        } else if (data.length > 2 || (data[1] !== undefined && !_isNumeric(data[1]))) {
+            _expect(issues, path, '[value, max]', data);
+        }
+        return issues;
+    }
+    const start = issues.length;
+    for (let i = 0; !typed && i < data.length && issues.length - start < MAX_ISSUES; i++) {
+        _checkItem(issues, `${path}[${i}]`, data[i], lowerType, context);
+    }
+    const primitive = typed || data.every(item => item === null || typeof item !== 'object');
+    if (LABELED_TYPES.includes(lowerType) && primitive && Array.isArray(labels) && labels.length && data.length !== labels.length) {
+        issues.push({ path, message: `has ${data.length} value${data.length === 1 ? '' : 's'} but there ${labels.length === 1 ? 'is 1 label' : `are ${labels.length} labels`}` });
+    }
+    return issues;
+}
+
+export function _validateDataset(ds, path, type, labels, issues = [], context = {}) {
+    if (!_isObject(ds)) {
+        _expect(issues, path, 'an object', ds);
+        return issues;
+    }
+    if (ds.label !== undefined && typeof ds.label !== 'string') {
+        _expect(issues, `${path}.label`, 'string', ds.label);
+    }
+    if (ds.resample) {
+        _validateResample(ds.resample, `${path}.resample`, issues);
+    }
+    _validateFormat(ds.format, `${path}.format`, context.locale, issues);
+    _validateFormat(ds.binFormat, `${path}.binFormat`, context.locale, issues);
+    const lowerType = String(type).toLowerCase();
+    let ownType = type;
+    if (ds.type !== undefined && ds.type !== null) {
+        if (!MIXED_TYPES.includes(lowerType)) {
+            issues.push({ path: `${path}.type`, message: `datasets can only set their own type on ${MIXED_TYPES.join(', ')} charts` });
+        } else if (typeof ds.type !== 'string' || !MIXED_TYPES.includes(ds.type.toLowerCase())) {
+            _expect(issues, `${path}.type`, `one of ${MIXED_TYPES.join(', ')}`, ds.type);
+        } else {
+            ownType = ds.type;
+        }
+    }
+    if (ds.yAxis !== undefined && ds.yAxis !== null) {
+        const indexAxis = context.indexAxis === 'y' ? 'y' : 'x';
+        if (typeof ds.yAxis !== 'string' || !ds.yAxis || ds.yAxis === indexAxis || ds.yAxis === 'r') {
+            _expect(issues, `${path}.yAxis`, `an axis id such as '${indexAxis === 'y' ? 'x1' : 'y1'}'`, ds.yAxis);
+        } else if (!MIXED_TYPES.includes(lowerType)) {
+            issues.push({ path: `${path}.yAxis`, message: `secondary axes are only drawn on ${MIXED_TYPES.join(', ')} charts` });
+        }
+    }
+    if (ds.stack !== undefined && ds.stack !== null && typeof ds.stack !== 'string' && typeof ds.stack !== 'number') {
+        _expect(issues, `${path}.stack`, 'a stack name', ds.stack);
+    }
+    const resampled = ds.resample !== undefined ? !!ds.resample : !!context.resample;
+    return _validateData(ds.data, `${path}.data`, ownType, labels, issues, { ...context, resampled });
+}
+
+export function _validateAnnotation(item, path, issues = []) {
+    if (!_isObject(item)) {
+        _expect(issues, path, 'an object', item);
+        return issues;
+    }
+    if (!ANNOTATION_TYPES.includes(item.type)) {
+        _expect(issues, `${path}.type`, `one of ${ANNOTATION_TYPES.join(', ')}`, item.type);
+        return issues;
+    }
+    if (item.type === 'line' && item.x === undefined && item.y === undefined) {
+        issues.push({ path, message: 'a line needs x (vertical) or y (horizontal)' });
+    }
+    if (item.type === 'line' && item.x !== undefined && item.y !== undefined) {
+        issues.push({ path, message: 'a line takes either x or y, not both' });
+    }
+    if (item.type === 'band') {
+        const vertical = item.xMin !== undefined || item.xMax !== undefined;
+        const horizontal = item.yMin !== undefined || item.yMax !== undefined;
+        if (vertical === horizontal) {
+            issues.push({ path, message: 'a band needs xMin/xMax (vertical) or yMin/yMax (horizontal)' });
+        }
+    }
+    return issues;
+}
+
+export function _validateType(type, hasController) {
+    const issues = [];
+    if (typeof type !== 'string' || !type) {
+        _expect(issues, 'type', 'a chart type name', type);
+    } else if (!_isKnownType(type) && hasController && !hasController(type)) {
+        issues.push({ path: 'type', message: `unknown chart type ${_describe(type)}; expected one of ${BUILT_IN_TYPES.join(', ')} or a type registered by a Chart.js plugin` });
+    }
+    return issues;
+}
+
+function _validateDrilldown(drilldown, issues) {
+    if (!_isObject(drilldown)) {
+        _expect(issues, 'drilldown', 'an object', drilldown);
+        return;
+    }
+    if (!Array.isArray(drilldown.levels) || !drilldown.levels.length) {
+        _expect(issues, 'drilldown.levels', 'a non-empty array of fields', drilldown.levels);
+    } else {
+        drilldown.levels.forEach((level, i) => {
+            const field = _isObject(level) ? level.field : level;
+            if (typeof field !== 'string' && typeof field !== 'function') {
+                _expect(issues, `drilldown.levels[${i}]`, 'a field name, an accessor function or { field, label }', level);
+            }
+        });
+    }
+    if (drilldown.path !== undefined && !Array.isArray(drilldown.path)) {
+        _expect(issues, 'drilldown.path', 'an array', drilldown.path);
+    }
+}
+
+export function _validateConfig(config, options = {}) {
+    const issues = [];
+    if (!_isObject(config)) {
+        _expect(issues, 'config', 'an object', config);
+        return issues;
+    }
+    const type = config.type ?? 'line';
+    issues.push(..._validateType(type, options.hasController));
+
+    Object.keys(FIELD_TYPES).forEach(key => {
+        const expected = FIELD_TYPES[key];
+        const value = config[key];
+        if (value !== undefined && value !== null && (typeof value !== expected || (expected === 'object' && Array.isArray(value)))) {
+            _expect(issues, key, expected === 'object' ? 'an object' : expected, value);
+        }
+    });
+    if (config.palette !== undefined && !Array.isArray(config.palette) && typeof config.palette !== 'string') {
+        _expect(issues, 'palette', 'an array of colors or a palette name', config.palette);
+    }
+    if (config.maxPoints !== undefined && config.maxPoints !== null && !(typeof config.maxPoints === 'number' && config.maxPoints > 0)) {
+        _expect(issues, 'maxPoints', 'a positive number', config.maxPoints);
+    }
+    if (config.decimation !== undefined && config.decimation !== null && config.decimation !== false) {
+        if (!_isObject(config.decimation)) {
+            _expect(issues, 'decimation', 'an object or false', config.decimation);
+        } else {
+            ['threshold', 'samples'].forEach(key => {
+                const value = config.decimation[key];
+                if (value !== undefined && value !== null && !(typeof value === 'number' && value > 0)) {
+                    _expect(issues, `decimation.${key}`, 'a positive number', value);
+                }
+            });
+        }
+    }
+    if (config.plugins !== undefined) {
+        if (!Array.isArray(config.plugins)) {
+            _expect(issues, 'plugins', 'an array of plugin objects', config.plugins);
+        } else {
+            config.plugins.forEach((plugin, i) => {
+                const problem = _checkPlugin(plugin);
+                if (problem) {
+                    issues.push({ path: `plugins[${i}]`, message: problem });
+                }
+            });
+        }
+    }
+    if (config.lazy !== undefined && typeof config.lazy !== 'boolean') {
+        if (!_isObject(config.lazy)) {
+            _expect(issues, 'lazy', 'a boolean or an object', config.lazy);
+        } else {
+            if (config.lazy.rootMargin !== undefined && typeof config.lazy.rootMargin !== 'string') {
+                _expect(issues, 'lazy.rootMargin', 'a CSS margin string', config.lazy.rootMargin);
+            }
+            if (config.lazy.pause !== undefined && typeof config.lazy.pause !== 'boolean') {
+                _expect(issues, 'lazy.pause', 'a boolean', config.lazy.pause);
+            }
+        }
+    }
+    if (config.historyLimit !== undefined && !(typeof config.historyLimit === 'number' && config.historyLimit >= 0)) {
+        _expect(issues, 'historyLimit', 'a number >= 0', config.historyLimit);
+    }
+    if (config.timeAxis !== undefined && config.timeAxis !== null && typeof config.timeAxis !== 'boolean' && !_isObject(config.timeAxis)) {
+        _expect(issues, 'timeAxis', 'a boolean or an object', config.timeAxis);
+    } else if (_isObject(config.timeAxis) && config.timeAxis.unit !== undefined && config.timeAxis.unit !== 'auto' && !TIME_UNITS.includes(config.timeAxis.unit)) {
+        _expect(issues, 'timeAxis.unit', `'auto' or one of ${TIME_UNITS.join(', ')}`, config.timeAxis.unit);
+    }
+    if (config.resample !== undefined && config.resample !== null) {
+        _validateResample(config.resample, 'resample', issues);
+    }
+    _validateLocale(config.locale ?? undefined, 'locale', issues);
+    _validateFormat(config.format ?? undefined, 'format', config.locale, issues);
+    if (config.accessibility !== undefined && config.accessibility !== false && !_isObject(config.accessibility)) {
+        _expect(issues, 'accessibility', 'an object or false', config.accessibility);
+    }
+
+    if (config.annotations !== undefined) {
+        if (!Array.isArray(config.annotations)) {
+            _expect(issues, 'annotations', 'an array', config.annotations);
+        } else {
+            config.annotations.forEach((item, i) => _validateAnnotation(item, `annotations[${i}]`, issues));
+        }
+    }
+
+    if (config.drilldown !== undefined && config.drilldown !== null) {
+        _validateDrilldown(config.drilldown, issues);
+    }
+
+    if (config.records !== undefined) {
+        if (config.aggregate !== undefined && !_isObject(config.aggregate)) {
+            _expect(issues, 'aggregate', 'an object', config.aggregate);
+        }
+        return issues;
+    }
+    if (config.labels !== undefined && !Array.isArray(config.labels)) {
+        _expect(issues, 'labels', 'an array', config.labels);
+    }
+    if (config.datasets !== undefined && !Array.isArray(config.datasets)) {
+        _expect(issues, 'datasets', 'an array', config.datasets);
+    } else if (typeof type === 'string') {
+        const labels = Array.isArray(config.labels) ? config.labels : [];
+        const context = { time: _usesTimeAxis(config, type), resample: !!config.resample, locale: config.locale, indexAxis: config.options?.indexAxis };
+        (config.datasets ?? []).forEach((ds, i) => _validateDataset(ds, `datasets[${i}]`, type, labels, issues, context));
+    }
+    return issues;
+}
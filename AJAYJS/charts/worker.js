@@ -0,0 +1,10 @@
+import { _TASKS } from './offload.js';
+
+self.onmessage = event => {
+    const { id, task, payload } = event.data;
+    try {
+        self.postMessage({ id, result: _TASKS[task](payload) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};